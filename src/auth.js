@@ -0,0 +1,299 @@
+'use strict';
+import crypto from 'crypto';
+import {createResponseError, createUnexpectedStatusError} from './request-error.js';
+
+/**
+ * Authentication strategies. Every strategy has the same interface:
+ * - getHeaders() returns headers (or a promise of headers) for the next request
+ * - onResponse(res) is invoked with every response, optional
+ * - onUnauthorized(res) is invoked if CouchDB responds with 401 status code,
+ *   it returns a promise which is resolved with true if the request should be retried once, optional
+ * - getReplicationHeaders() returns long-lived headers which can be stored in _replicator documents, optional.
+ *   Strategies without it can't authenticate persistent replications of database names
+ */
+
+/**
+ * @param {String} user
+ * @param {String} pass
+ * @return {String}
+ */
+function createBasicHeader(user, pass) {
+    return 'Basic ' + Buffer.from(`${user}:${pass}`, 'utf8').toString('base64');
+}
+
+export class BasicAuth {
+    constructor({user, pass}) {
+        this._header = createBasicHeader(user, pass);
+    }
+
+    getHeaders() {
+        return {
+            authorization: this._header
+        };
+    }
+
+    getReplicationHeaders() {
+        return this.getHeaders();
+    }
+}
+
+export class CookieAuth {
+    constructor({user, pass}, couch) {
+        this._user = user;
+        this._pass = pass;
+        this._couch = couch;
+
+        this._sessionCookie = null;
+        this._loginPromise = null;
+    }
+
+    /**
+     * Cookie session is created on the first request and shared by all concurrent requests
+     *
+     * @return {Promise}
+     */
+    async getHeaders() {
+        if (!this._sessionCookie) {
+            await this.login();
+        }
+
+        return {
+            cookie: `AuthSession=${this._sessionCookie}`
+        };
+    }
+
+    /**
+     * Session cookie expires, so replications get basic credentials of the session user
+     *
+     * @return {Object}
+     */
+    getReplicationHeaders() {
+        return {
+            authorization: createBasicHeader(this._user, this._pass)
+        };
+    }
+
+    /**
+     * Stores AuthSession cookie if CouchDB has sent it. CouchDB rotates the cookie
+     * by sending the new one with any response when the old one is about to expire
+     *
+     * @param {Response} res
+     */
+    onResponse(res) {
+        const matches = (res.headers.get('set-cookie') || '').match(/AuthSession=([^;,]*)/);
+
+        if (matches) {
+            this._sessionCookie = matches[1] || null;
+        }
+    }
+
+    /**
+     * Session cookie has expired or has been invalidated on the server
+     *
+     * @return {Promise}
+     */
+    onUnauthorized() {
+        return this.login().then(() => true);
+    }
+
+    /**
+     * Creates new cookie session. Concurrent calls share the same request
+     *
+     * @return {Promise}
+     */
+    login() {
+        if (!this._loginPromise) {
+            this._loginPromise = this._couch._request(`${this._couch._baseUrl}/_session`, {
+                method: 'POST',
+                headers: this._couch._fetchDefaultOpts.headers,
+                body: JSON.stringify({
+                    name: this._user,
+                    password: this._pass
+                })
+            }).then(({res, body}) => {
+                if (res.status === 401) {
+                    throw createResponseError('EUNAUTHORIZED', 'Name or password is incorrect', body, res);
+                }
+
+                this.onResponse(res);
+
+                if (res.status !== 200 || !this._sessionCookie) {
+                    throw createUnexpectedStatusError('creating session', body, res);
+                }
+
+                return body;
+            }).finally(() => {
+                this._loginPromise = null;
+            });
+        }
+
+        return this._loginPromise;
+    }
+
+    /**
+     * Closes the cookie session. Next request creates a new one
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers}
+     * @return {Promise}
+     */
+    logout(requestOpts = {}) {
+        const headers = Object.assign({}, this._couch._fetchDefaultOpts.headers, requestOpts.headers);
+
+        if (this._sessionCookie) {
+            headers.cookie = `AuthSession=${this._sessionCookie}`;
+        }
+
+        return this._couch._request(`${this._couch._baseUrl}/_session`, {
+            method: 'DELETE',
+            headers,
+            timeout: requestOpts.timeout,
+            signal: requestOpts.signal
+        }).finally(() => {
+            this._sessionCookie = null;
+        });
+    }
+}
+
+export class JwtAuth {
+    constructor({token = null, getToken = null, refreshMargin = 30000}) {
+        if (!token && typeof getToken !== 'function') {
+            const err = new Error('Either token or getToken() should be set for JWT auth');
+            err.code = 'EFIELDMISSING';
+
+            throw err;
+        }
+
+        this._token = token;
+        this._getToken = getToken;
+        this._refreshMarginMs = refreshMargin;
+        this._refreshPromise = null;
+    }
+
+    /**
+     * Token is refreshed in background when it's about to expire
+     * and before the request if it has already expired
+     *
+     * @return {Promise}
+     */
+    async getHeaders() {
+        if (!this._token) {
+            await this._refresh();
+        } else if (this._getToken) {
+            const expiresAt = getTokenExpiration(this._token);
+
+            if (expiresAt !== null && expiresAt <= Date.now()) {
+                await this._refresh();
+            } else if (expiresAt !== null && expiresAt - this._refreshMarginMs <= Date.now()) {
+                // failed refresh will be retried with the next request
+                this._refresh().catch(() => {});
+            }
+        }
+
+        return {
+            authorization: `Bearer ${this._token}`
+        };
+    }
+
+    /**
+     * Token could have been revoked, so it's worth getting a new one
+     *
+     * @return {Promise}
+     */
+    onUnauthorized() {
+        if (!this._getToken) {
+            return Promise.resolve(false);
+        }
+
+        return this._refresh().then(() => true);
+    }
+
+    _refresh() {
+        if (!this._refreshPromise) {
+            this._refreshPromise = Promise.resolve(this._getToken()).then(token => {
+                this._token = token;
+            }).finally(() => {
+                this._refreshPromise = null;
+            });
+        }
+
+        return this._refreshPromise;
+    }
+}
+
+export class ProxyAuth {
+    constructor({username, roles = [], secret = null, hashAlgorithm = 'sha1'}) {
+        if (!username) {
+            const err = new Error('Username should be set for proxy auth');
+            err.code = 'EFIELDMISSING';
+
+            throw err;
+        }
+
+        this._headers = {
+            'x-auth-couchdb-username': username,
+            'x-auth-couchdb-roles': roles.join(',')
+        };
+
+        // token is required if [chttpd_auth] proxy_use_secret is enabled
+        if (secret) {
+            this._headers['x-auth-couchdb-token'] = crypto.createHmac(hashAlgorithm, secret).update(username).digest('hex');
+        }
+    }
+
+    getHeaders() {
+        return this._headers;
+    }
+}
+
+/**
+ * Creates authentication strategy from `auth` constructor option.
+ * Objects with `getHeaders` method are used as custom strategies
+ *
+ * @param {Object|Null} auth
+ * @param {NodeCouchDB} couch
+ * @return {Object|Null}
+ */
+export function createAuthStrategy(auth, couch) {
+    if (!auth) {
+        return null;
+    }
+
+    if (typeof auth.getHeaders === 'function') {
+        return auth;
+    }
+
+    switch (auth.type) {
+        case undefined:
+        case 'basic':
+            return new BasicAuth(auth);
+
+        case 'cookie':
+            return new CookieAuth(auth, couch);
+
+        case 'jwt':
+            return new JwtAuth(auth);
+
+        case 'proxy':
+            return new ProxyAuth(auth);
+    }
+
+    const err = new Error(`Unsupported auth type: ${auth.type}`);
+    err.code = 'EAUTHUNSUPPORTED';
+
+    throw err;
+}
+
+/**
+ * Reads "exp" claim of JWT
+ *
+ * @param {String} token
+ * @return {Number|Null} expiration timestamp in milliseconds
+ */
+function getTokenExpiration(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,350 @@
+'use strict';
+import {StringDecoder} from 'string_decoder';
+import AbortController from 'abort-controller';
+import RequestError, {createResponseError, createUnexpectedStatusError} from './request-error.js';
+
+// @see https://docs.couchdb.org/en/stable/api/database/changes.html
+const FEED_TYPES = ['normal', 'longpoll', 'continuous', 'eventsource'];
+
+// options which are handled by the feed itself and are never sent as query params
+const FEED_OPTIONS = ['reconnect', 'reconnectDelay', 'maxReconnects', 'selector', 'doc_ids', 'since'];
+
+// CouchDB sends heartbeats every 60 seconds if "heartbeat" param is true
+const DEFAULT_HEARTBEAT_MS = 60000;
+
+export default class ChangesFeed {
+    constructor(couch, dbName, opts = {}, requestOpts = {}) {
+        this._couch = couch;
+        this._dbName = dbName;
+        this._requestOpts = requestOpts;
+        this._opts = Object.assign({
+            feed: 'normal',
+            reconnect: true,
+            reconnectDelay: 1000,
+            maxReconnects: Infinity
+        }, opts);
+
+        if (this._opts.feed !== 'normal' && this._opts.heartbeat === undefined) {
+            this._opts.heartbeat = 10000;
+        }
+
+        this.lastSeq = this._opts.since === undefined ? null : this._opts.since;
+
+        this._stopped = false;
+        this._controller = null;
+        this._watchdog = null;
+        this._wakeUp = null;
+    }
+
+    /**
+     * Stops the feed: aborts the pending request and finishes the iteration
+     *
+     * @return {Undefined}
+     */
+    stop() {
+        this._stopped = true;
+
+        if (this._controller) {
+            this._controller.abort();
+        }
+
+        if (this._wakeUp) {
+            this._wakeUp();
+        }
+    }
+
+    /**
+     * Yields change rows one by one. Normal feed finishes after the first response,
+     * other feeds run until `stop()` is called or CouchDB sends `last_seq` in a streaming feed
+     *
+     * @return {AsyncIterator}
+     */
+    async *[Symbol.asyncIterator]() {
+        if (!FEED_TYPES.includes(this._opts.feed)) {
+            throw new RequestError('EBADREQUEST', `Unsupported changes feed type: ${this._opts.feed}`);
+        }
+
+        let connected = false;
+        let reconnects = 0;
+
+        // caller's signal stops the feed just like stop()
+        const {signal} = this._requestOpts;
+        const onAbort = () => this.stop();
+
+        if (signal) {
+            if (signal.aborted) {
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            while (!this._stopped) {
+                try {
+                    const {res, body} = await this._request();
+                    this._checkStatus(res, body);
+                    connected = true;
+                    reconnects = 0;
+
+                    const finished = yield* this._consume(res);
+                    if (finished) {
+                        return;
+                    }
+
+                    // longpoll feed asks for the next batch right away while streaming feeds
+                    // end up reconnecting if the connection was closed without "last_seq" row
+                    if (this._opts.feed === 'longpoll') {
+                        continue;
+                    }
+                } catch (err) {
+                    if (this._stopped) {
+                        return;
+                    }
+
+                    // only dropped connections are restored, the feed fails if it has never been established
+                    const canReconnect = connected && this._opts.reconnect && reconnects < this._opts.maxReconnects;
+                    if (err instanceof RequestError || !canReconnect) {
+                        throw err;
+                    }
+                }
+
+                reconnects += 1;
+                await this._sleep(this._opts.reconnectDelay);
+            }
+        } finally {
+            this._stopped = true;
+            this._abortRequest();
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Sends request to the _changes endpoint starting from the last known sequence
+     *
+     * @return {Promise}
+     */
+    _request() {
+        const url = new URL(`${this._couch._baseUrl}/${this._dbName}/_changes`);
+
+        for (let prop in this._opts) {
+            if (!FEED_OPTIONS.includes(prop) && this._opts[prop] !== undefined) {
+                url.searchParams.set(prop, this._opts[prop]);
+            }
+        }
+
+        if (this.lastSeq !== null) {
+            url.searchParams.set('since', this.lastSeq);
+        }
+
+        const fetchOpts = {};
+
+        if (this._opts.selector) {
+            url.searchParams.set('filter', '_selector');
+            fetchOpts.method = 'POST';
+            fetchOpts.body = JSON.stringify({selector: this._opts.selector});
+        } else if (this._opts.doc_ids) {
+            url.searchParams.set('filter', '_doc_ids');
+            fetchOpts.method = 'POST';
+            fetchOpts.body = JSON.stringify({doc_ids: this._opts.doc_ids});
+        }
+
+        this._controller = new AbortController();
+        fetchOpts.signal = this._controller.signal;
+        this._touch();
+
+        return this._couch._fetchStream(url, fetchOpts, this._requestOpts);
+    }
+
+    /**
+     * @param {Response} res
+     * @param {Object} body parsed error body
+     * @throws {RequestError}
+     */
+    _checkStatus(res, body) {
+        if (res.status === 200) {
+            return;
+        }
+
+        if (res.status === 400) {
+            throw createResponseError('EBADREQUEST', 'Invalid changes feed parameters', body, res);
+        }
+
+        if (res.status === 401) {
+            throw createResponseError('EUNAUTHORIZED', 'Read privileges required', body, res);
+        }
+
+        if (res.status === 404) {
+            throw createResponseError('EDBMISSING', `Database not found: ${this._dbName}`, body, res);
+        }
+
+        throw createUnexpectedStatusError('reading changes feed', body, res);
+    }
+
+    /**
+     * Yields change rows from the response. Returns true if the feed is finished
+     *
+     * @param {Response} res
+     * @return {AsyncIterator}
+     */
+    async *_consume(res) {
+        const feed = this._opts.feed;
+
+        if (feed === 'normal' || feed === 'longpoll') {
+            let text = '';
+            for await (const line of this._readLines(res)) {
+                text += line;
+            }
+
+            const body = JSON.parse(text);
+            for (const change of body.results) {
+                if (this._stopped) {
+                    return true;
+                }
+
+                this.lastSeq = change.seq;
+                yield change;
+            }
+
+            this.lastSeq = body.last_seq;
+            return feed === 'normal';
+        }
+
+        if (feed === 'continuous') {
+            for await (const line of this._readLines(res)) {
+                // empty lines are heartbeats
+                if (!line.trim()) {
+                    continue;
+                }
+
+                const row = JSON.parse(line);
+                if (row.last_seq !== undefined) {
+                    this.lastSeq = row.last_seq;
+                    return true;
+                }
+
+                this.lastSeq = row.seq;
+                yield row;
+            }
+
+            return false;
+        }
+
+        // eventsource: events are separated with empty lines
+        let data = [];
+        let eventType = null;
+
+        for await (const line of this._readLines(res)) {
+            if (line) {
+                const separatorIndex = line.indexOf(':');
+                const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+                const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+                if (field === 'data') {
+                    data.push(value);
+                } else if (field === 'event') {
+                    eventType = value;
+                }
+
+                continue;
+            }
+
+            const payload = data.join('\n');
+            const isHeartbeat = eventType === 'heartbeat' || !payload.trim();
+            data = [];
+            eventType = null;
+
+            if (isHeartbeat) {
+                continue;
+            }
+
+            const row = JSON.parse(payload);
+            if (row.last_seq !== undefined) {
+                this.lastSeq = row.last_seq;
+                return true;
+            }
+
+            this.lastSeq = row.seq;
+            yield row;
+        }
+
+        return false;
+    }
+
+    /**
+     * Splits response body into lines. Every received chunk resets the inactivity timer
+     *
+     * @param {Response} res
+     * @return {AsyncIterator}
+     */
+    async *_readLines(res) {
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+
+        for await (const chunk of res.body) {
+            this._touch();
+            buffer += decoder.write(chunk);
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                yield line.replace(/\r$/, '');
+            }
+        }
+
+        clearTimeout(this._watchdog);
+
+        buffer += decoder.end();
+        if (buffer) {
+            yield buffer;
+        }
+    }
+
+    /**
+     * (Re)starts inactivity timer which aborts the request if CouchDB stays silent
+     * for too long. Streaming feeds also wait for the heartbeat interval.
+     * Zero timeout disables the timer like it does for other requests
+     *
+     * @return {Undefined}
+     */
+    _touch() {
+        const controller = this._controller;
+        const {timeout = this._couch._timeoutMs} = this._requestOpts;
+        const {heartbeat} = this._opts;
+
+        clearTimeout(this._watchdog);
+
+        if (!timeout) {
+            return;
+        }
+
+        const heartbeatMs = (heartbeat === true || heartbeat === 'true') ? DEFAULT_HEARTBEAT_MS : (Number(heartbeat) || 0);
+        this._watchdog = setTimeout(() => controller.abort(), timeout + heartbeatMs);
+    }
+
+    _abortRequest() {
+        clearTimeout(this._watchdog);
+
+        if (this._controller) {
+            this._controller.abort();
+            this._controller = null;
+        }
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+
+            this._wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).then(() => {
+            this._wakeUp = null;
+        });
+    }
+}
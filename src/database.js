@@ -0,0 +1,1711 @@
+'use strict';
+import RequestError, {createResponseError, createUnexpectedStatusError} from './request-error.js';
+import ChangesFeed from './changes-feed.js';
+import MangoIterator from './mango-iterator.js';
+import Partition from './partition.js';
+import {buildDesignDoc, isDesignDocEqual, readDesignDocDir} from './design-doc.js';
+import {isStream} from './helpers.js';
+
+// @see https://wiki.apache.org/couchdb/HTTP_view_API#Querying_Options
+// @see https://github.com/1999/node-couchdb/issues/9
+const KEYS_TO_ENCODE = ['key', 'keys', 'startkey', 'endkey'];
+
+// per-document errors of _bulk_docs responses
+// @see https://docs.couchdb.org/en/stable/api/database/bulk-api.html#bulk-document-validation-and-conflict-errors
+const BULK_ERROR_CODES = {
+    bad_request: 'EBADREQUEST',
+    conflict: 'EDOCCONFLICT',
+    forbidden: 'EFORBIDDEN',
+    not_found: 'EDOCMISSING',
+    unauthorized: 'EUNAUTHORIZED'
+};
+
+const BULK_CHUNK_SIZE = 1000;
+
+const ITERATION_PAGE_SIZE = 100;
+
+// number of retries after conflicts in modify(), upsert() and security object helpers
+const MODIFY_RETRIES = 5;
+
+// sections of the security object and their principal lists
+// @see https://docs.couchdb.org/en/stable/api/database/security.html
+const SECURITY_SECTIONS = ['admins', 'members'];
+const SECURITY_PRINCIPALS = ['names', 'roles'];
+
+// Mango API is available since CouchDB 2.0
+const MANGO_SERVER_VERSION = 2;
+
+// _find responses contain this warning if the query results in a full scan
+const NO_INDEX_WARNING = /no matching index found/i;
+
+// staging design document is published as "_design/{name}-staging" and then copied over the live one
+const STAGING_SUFFIX = '-staging';
+
+/**
+ * @param {String|Object} mangoQuery Mango query as json string or javascript object
+ * @return {Object}
+ * @throws {RequestError}
+ */
+function parseMangoQuery(mangoQuery) {
+    if (typeof mangoQuery === 'string') {
+        try {
+            mangoQuery = JSON.parse(mangoQuery);
+        } catch (e) {
+            throw new RequestError('EBADREQUEST', 'The Mango query parameter is not parsable.');
+        }
+    }
+
+    if (!mangoQuery || typeof mangoQuery !== 'object') {
+        throw new RequestError('EBADREQUEST', 'Invalid Mango query parameter.');
+    }
+
+    return mangoQuery;
+}
+
+/**
+ * Sets query options as URL search params, JSON-encoding key params
+ *
+ * @param {URL} url
+ * @param {Object} query
+ */
+function setQueryParams(url, query) {
+    for (let prop in query) {
+        if (KEYS_TO_ENCODE.includes(prop)) {
+            url.searchParams.set(prop, JSON.stringify(query[prop]));
+        } else {
+            url.searchParams.set(prop, query[prop]);
+        }
+    }
+}
+
+/**
+ * Fills missing sections and principal lists of the security object, CouchDB responds
+ * with an empty object if it has never been set
+ *
+ * @param {Object} security
+ * @return {Object}
+ */
+function normalizeSecurity(security) {
+    const normalized = Object.assign({}, security);
+
+    for (const section of SECURITY_SECTIONS) {
+        normalized[section] = Object.assign({}, normalized[section]);
+
+        for (const field of SECURITY_PRINCIPALS) {
+            normalized[section][field] = (normalized[section][field] || []).slice();
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Repeats read-modify-write operation while it's rejected with EDOCCONFLICT error
+ *
+ * @param {Number} retries number of retries after conflicts
+ * @param {Function} operation called with attempt number, returns a promise
+ * @return {Promise}
+ */
+async function retryOnConflict(retries, operation) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (err) {
+            if (err.code !== 'EDOCCONFLICT' || attempt > retries) {
+                throw err;
+            }
+        }
+    }
+}
+
+export default class Database {
+    constructor(couch, dbName) {
+        this._couch = couch;
+        this._name = dbName;
+        this._url = `${couch._baseUrl}/${dbName}`;
+    }
+
+    /**
+     * Database name
+     *
+     * @return {String}
+     */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * Get database information. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    info(requestOpts = {}) {
+        return this._couch._fetchWrapped(this._url, {}, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDBMISSING', `Database not found: ${this._name}`, body, res);
+            }
+
+            if (res.status === 401) {
+                throw createResponseError('EUNAUTHORIZED', 'Read privileges required', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError(`fetching database information ${this._name}`, body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Check if database exists. Returns a promise which is
+     * - resolved with {Boolean}
+     * - rejected with `request` original error
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    exists(requestOpts = {}) {
+        return this._couch._fetchWrapped(this._url, {
+            method: 'HEAD',
+        }, requestOpts).then(({res}) => {
+            if (res.status === 404) {
+                return false;
+            }
+
+            if (res.status !== 200) {
+                throw createUnexpectedStatusError(`checking database ${this._name}`, null, res);
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Creates the database. Returns a promise which is
+     * - resolved with no arguments
+     * - rejected with `request` original error
+     *
+     * @param {Object} [opts] query options like {q, n, partitioned}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    create(opts = {}, requestOpts = {}) {
+        const url = new URL(this._url);
+
+        for (let prop in opts) {
+            url.searchParams.set(prop, opts[prop]);
+        }
+
+        return this._couch._fetchWrapped(url, {
+            method: 'PUT',
+        }, requestOpts).then(({res, body}) => {
+            // database already exists
+            if (res.status === 412) {
+                throw createResponseError('EDBEXISTS', `Database already exists: ${this._name}`, body, res);
+            }
+
+            if (res.status === 401) {
+                throw createResponseError('ENOTADMIN', `Should be authorized as admin to create database: ${res.status}`, body, res);
+            }
+
+            if (res.status === 400) {
+                throw createResponseError('EBADREQUEST', `Invalid database name or options: ${body && body.reason}`, body, res);
+            }
+
+            if (res.status !== 201 && res.status !== 202) {
+                throw createUnexpectedStatusError(`creating database ${this._name}`, body, res);
+            }
+        });
+    }
+
+    /**
+     * Drops the database. Returns a promise which is
+     * - resolved with no arguments
+     * - rejected with `request` original error
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    drop(requestOpts = {}) {
+        const url = `${this._url}/`;
+        return this._couch._fetchWrapped(url, {
+            method: 'DELETE',
+        }, requestOpts).then(({res, body}) => {
+            // database not found
+            if (res.status === 404) {
+                throw createResponseError('EDBMISSING', `Database not found: ${this._name}`, body, res);
+            }
+
+            if (res.status === 401) {
+                throw createResponseError('ENOTADMIN', `Should be authorized as admin to delete database: ${res.status}`, body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 202) {
+                throw createUnexpectedStatusError(`deleting database ${this._name}`, body, res);
+            }
+
+            return this._couch._invalidateCache([this._url], 'db');
+        });
+    }
+
+    /**
+     * Get the security object of the database. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {admins: {names, roles}, members: {names, roles}}
+     * - rejected with `request` original error or with EUNAUTHORIZED/EFORBIDDEN error if user is not a member
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    getSecurity(requestOpts = {}) {
+        return this._couch._fetchWrapped(`${this._url}/_security`, {}, requestOpts).then(({res, body}) => {
+            this._checkSecurityStatus(res, body, 'EFORBIDDEN', 'Read privileges required to fetch security object');
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError(`fetching security object of ${this._name}`, body, res);
+            }
+
+            return {
+                data: normalizeSecurity(body),
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Replace the security object of the database. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with ENOTADMIN error if user is not a database admin
+     *
+     * @param {Object} security {admins: {names, roles}, members: {names, roles}}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    setSecurity(security, requestOpts = {}) {
+        return this._couch._fetchWrapped(`${this._url}/_security`, {
+            method: 'PUT',
+            body: JSON.stringify(normalizeSecurity(security))
+        }, requestOpts).then(({res, body}) => {
+            this._checkSecurityStatus(res, body, 'ENOTADMIN', 'Should be authorized as database admin to change security object');
+
+            if (res.status === 400) {
+                throw createResponseError('EBADREQUEST', `Invalid security object: ${body && body.reason}`, body, res);
+            }
+
+            if (res.status !== 200) {
+                throw createUnexpectedStatusError(`changing security object of ${this._name}`, body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument('_security').then(() => result));
+    }
+
+    /**
+     * Add names and roles to database admins. Returns a promise which is
+     * - resolved with {data, headers, status, changed} object, where data is the updated security object
+     * - rejected with `request` original error or with EDOCCONFLICT error if security object
+     *   has been changed concurrently in all attempts
+     *
+     * @param {Object} principals {names, roles}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    addAdmin(principals, requestOpts = {}) {
+        return this._modifySecurity('admins', principals, true, requestOpts);
+    }
+
+    /**
+     * Remove names and roles from database admins. Returns a promise which is
+     * - resolved with {data, headers, status, changed} object, where data is the updated security object
+     * - rejected with `request` original error or with EDOCCONFLICT error if security object
+     *   has been changed concurrently in all attempts
+     *
+     * @param {Object} principals {names, roles}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    removeAdmin(principals, requestOpts = {}) {
+        return this._modifySecurity('admins', principals, false, requestOpts);
+    }
+
+    /**
+     * Add names and roles to database members. Returns a promise which is
+     * - resolved with {data, headers, status, changed} object, where data is the updated security object
+     * - rejected with `request` original error or with EDOCCONFLICT error if security object
+     *   has been changed concurrently in all attempts
+     *
+     * @param {Object} principals {names, roles}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    addMember(principals, requestOpts = {}) {
+        return this._modifySecurity('members', principals, true, requestOpts);
+    }
+
+    /**
+     * Remove names and roles from database members. Returns a promise which is
+     * - resolved with {data, headers, status, changed} object, where data is the updated security object
+     * - rejected with `request` original error or with EDOCCONFLICT error if security object
+     *   has been changed concurrently in all attempts
+     *
+     * @param {Object} principals {names, roles}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    removeMember(principals, requestOpts = {}) {
+        return this._modifySecurity('members', principals, false, requestOpts);
+    }
+
+    /**
+     * Get a handle bound to the partition of the partitioned database
+     *
+     * @param {String} key partition key
+     * @return {Partition}
+     * @throws {RequestError} if partition key is invalid
+     */
+    partition(key) {
+        return new Partition(this, key);
+    }
+
+    /**
+     * Fetch data from CouchDB. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String} uri document ID or design view
+     * @param {Object} [query] query options as key: value
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    get(uri, query = {}, requestOpts = {}) {
+        const url = new URL(`${this._url}/${uri}`); 
+        setQueryParams(url, query);
+
+        return this._couch._fetchWrapped(url, {}, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Document is not found', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching documents from the database', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Fetch rows of _all_docs. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {total_rows, offset, rows}
+     * - rejected with `request` original error
+     *
+     * @param {Object} [query] query options as key: value, `keys` array is sent in the request body
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    allDocs(query = {}, requestOpts = {}) {
+        return this._queryRows('_all_docs', query, requestOpts);
+    }
+
+    /**
+     * Fetch rows of the view. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {total_rows, offset, rows}
+     * - rejected with `request` original error
+     *
+     * @param {String} designDocument design document name without "_design/" prefix
+     * @param {String} viewName view name
+     * @param {Object} [query] query options as key: value, `keys` array is sent in the request body
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    view(designDocument, viewName, query = {}, requestOpts = {}) {
+        return this._queryRows(`_design/${designDocument}/_view/${viewName}`, query, requestOpts);
+    }
+
+    /**
+     * Iterate over all rows of _all_docs fetching them page by page.
+     * Returns an async iterator which yields rows
+     *
+     * @param {Object} [query] query options as key: value and `pageSize` (100 by default)
+     * @param {Object} [requestOpts] options of every page request: {signal, timeout, headers, cache}
+     * @return {AsyncIterator}
+     */
+    iterateAllDocs(query = {}, requestOpts = {}) {
+        return this._iterateRows('_all_docs', query, requestOpts);
+    }
+
+    /**
+     * Iterate over all rows of the view fetching them page by page.
+     * Returns an async iterator which yields rows
+     *
+     * @param {String} designDocument design document name without "_design/" prefix
+     * @param {String} viewName view name
+     * @param {Object} [query] query options as key: value and `pageSize` (100 by default)
+     * @param {Object} [requestOpts] options of every page request: {signal, timeout, headers, cache}
+     * @return {AsyncIterator}
+     */
+    iterateView(designDocument, viewName, query = {}, requestOpts = {}) {
+        return this._iterateRows(`_design/${designDocument}/_view/${viewName}`, query, requestOpts);
+    }
+
+    /**
+     * Fetch attachment from CouchDB. Returns a promise which is
+     * - resolved with {data, headers, status, contentType, contentLength, contentMD5} object
+     * - rejected with `request` original error
+     *
+     * By default data is parsed if attachment is JSON or HTML. Use `as` option
+     * to get data as a Buffer or a Readable stream, these responses are never cached.
+     *
+     * @param {String} docId document id
+     * @param {String} attachmentName attachment name
+     * @param {String} [docRevision] document revision
+     * @param {Object} [opts] {as: 'buffer'|'stream', range: {start, end}|String}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    getAttachment(docId, attachmentName, docRevision, opts = {}, requestOpts = {}) {
+        const url = new URL(`${this._url}/${encodeURIComponent(docId)}/${encodeURIComponent(attachmentName)}`);
+
+        if (docRevision) {
+            url.searchParams.set('rev', docRevision);
+        }
+
+        const fetchOpts = {
+            responseType: opts.as || 'auto'
+        };
+
+        if (opts.range) {
+            fetchOpts.headers = {
+                range: typeof opts.range === 'string'
+                    ? opts.range
+                    : `bytes=${opts.range.start || 0}-${opts.range.end === undefined ? '' : opts.range.end}`
+            };
+        }
+
+        return this._couch._fetchWrapped(url, fetchOpts, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Attachment is not found', body, res);
+            }
+
+            if (res.status === 416) {
+                // range header can be passed with per-call headers as well, method headers take precedence
+                const headers = Object.assign({}, requestOpts.headers, fetchOpts.headers);
+                const rangeName = Object.keys(headers).reverse().find(name => name.toLowerCase() === 'range');
+                const range = rangeName ? `: ${headers[rangeName]}` : '';
+
+                throw createResponseError('EBADRANGE', `Requested range is not satisfiable${range}`, body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 206 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching attachment from the database', body, res);
+            }
+
+            const contentLength = res.headers.get('content-length');
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status,
+                contentType: res.headers.get('content-type'),
+                contentLength: contentLength === null ? null : Number(contentLength),
+                contentMD5: res.headers.get('content-md5')
+            };
+        });
+    }
+
+    /**
+     * Insert document into CouchDB. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {Object} data
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    insert(data, requestOpts = {}) {
+        const url = `${this._url}`;
+        return this._couch._fetchWrapped(url, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        }, requestOpts).then(({res, body}) => {
+            this._checkDocumentManipulationStatus(res, body)
+
+            if (res.status !== 201 && res.status !== 202) {
+                throw createUnexpectedStatusError('inserting document into the database', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument(result.data.id).then(() => result));
+    }
+
+    /**
+     * Insert attachment into CouchDB. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * Buffers and Readable streams are sent as is ("application/octet-stream" by default),
+     * strings are sent as "text/plain" and other values are sent as JSON unless `contentType` is set.
+     * Requests with stream bodies are never retried.
+     *
+     * @param {String} docId document id
+     * @param {String} attachmentName attachment name
+     * @param {Buffer|Readable|String|Object} body attachment body
+     * @param {String} [docRevision] document revision, not needed if the document doesn't exist yet
+     * @param {Object} [opts] {contentType, contentLength}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    insertAttachment(docId, attachmentName, body, docRevision, opts = {}, requestOpts = {}) {
+        const url = new URL(`${this._url}/${encodeURIComponent(docId)}/${encodeURIComponent(attachmentName)}`);
+
+        if (docRevision) {
+            url.searchParams.set('rev', docRevision);
+        }
+
+        let requestBody = body;
+        let contentType = 'application/octet-stream';
+
+        if (typeof body === 'string') {
+            contentType = 'text/plain';
+        } else if (!Buffer.isBuffer(body) && !isStream(body)) {
+            requestBody = JSON.stringify(body);
+            contentType = 'application/json';
+        }
+
+        const headers = {
+            'content-type': opts.contentType || contentType
+        };
+
+        if (opts.contentLength !== undefined) {
+            headers['content-length'] = String(opts.contentLength);
+        }
+
+        return this._couch._fetchWrapped(url, {
+            method: 'PUT',
+            headers,
+            body: requestBody
+        }, requestOpts).then(({res, body}) => {
+            if (res.status === 409) {
+                throw createResponseError('EDOCCONFLICT', 'Document insert conflict - Document’s revision wasn’t specified or it’s not the latest', body, res);
+            }
+
+            this._checkDocumentManipulationStatus(res, body);
+
+            if (res.status !== 201 && res.status !== 202) {
+                throw createUnexpectedStatusError('inserting attachment', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument(docId, attachmentName).then(() => result));
+    }
+
+    /**
+     * Update a document in CouchDB. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {Object} data should contain both "_id" and "_rev" fields
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    update(data, requestOpts = {}) {
+        if (!data._id || !data._rev) {
+            const err = new Error('Both _id and _rev fields should exist when updating the document');
+            err.code = 'EFIELDMISSING';
+
+            return Promise.reject(err);
+        }
+
+        return this._put(data, requestOpts);
+    }
+
+    /**
+     * Modify the latest revision of a document retrying on conflicts. Returns a promise which is
+     * - resolved with {data, headers, status, attempts} object
+     * - rejected with `request` original error or with EDOCCONFLICT error if all attempts have failed
+     *
+     * Mutator is called with a copy of the latest document revision and can either change it
+     * or return a new document (or a promise of it). It can be called several times.
+     *
+     * @param {String} docId document id
+     * @param {Function} mutator mutator function
+     * @param {Object} [opts] {retries, createIfMissing}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    modify(docId, mutator, {retries = MODIFY_RETRIES, createIfMissing = false} = {}, requestOpts = {}) {
+        return retryOnConflict(retries, async attempt => {
+            let latest;
+
+            try {
+                const {data} = await this.get(encodeURIComponent(docId), {}, requestOpts);
+                latest = data;
+            } catch (err) {
+                if (err.code !== 'EDOCMISSING' || !createIfMissing) {
+                    throw err;
+                }
+
+                latest = {_id: docId};
+            }
+
+            const draft = JSON.parse(JSON.stringify(latest));
+            const doc = (await mutator(draft)) || draft;
+
+            doc._id = docId;
+            if (latest._rev) {
+                doc._rev = latest._rev;
+            } else {
+                delete doc._rev;
+            }
+
+            try {
+                const result = await this._put(doc, requestOpts);
+                return Object.assign(result, {attempts: attempt});
+            } catch (err) {
+                err.attempts = attempt;
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * Create a document or overwrite the latest revision of it. Returns a promise which is
+     * - resolved with {data, headers, status, attempts} object
+     * - rejected with `request` original error or with EDOCCONFLICT error if all attempts have failed
+     *
+     * @param {Object} data should contain "_id" field
+     * @param {Object} [opts] {retries}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    upsert(data, {retries = MODIFY_RETRIES} = {}, requestOpts = {}) {
+        if (!data._id) {
+            const err = new Error('_id field should exist when upserting the document');
+            err.code = 'EFIELDMISSING';
+
+            return Promise.reject(err);
+        }
+
+        return this.modify(data._id, () => Object.assign({}, data), {retries, createIfMissing: true}, requestOpts);
+    }
+
+    /**
+     * Delete a document in the database. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String} docId document id
+     * @param {String} docRevision document revision
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    del(docId, docRevision, requestOpts = {}) {
+        const url = new URL(`${this._url}/${encodeURIComponent(docId)}`);
+        url.searchParams.set('rev', docRevision);
+        return this._couch._fetchWrapped(url, {
+            method: 'DELETE',
+        }, requestOpts).then(({res, body}) => {
+            this._checkDocumentManipulationStatus(res, body)
+
+            if (res.status !== 200) {
+                throw createUnexpectedStatusError('deleting document', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument(docId).then(() => result));
+    }
+
+    /**
+     * Insert, update or delete (`_deleted: true`) many documents at once. Big arrays are sent
+     * in several sequential requests of `chunkSize` documents. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is an array of per-document results
+     *   in the same order as docs; failed entries have `code` field (EDOCCONFLICT, EFORBIDDEN, etc)
+     * - rejected with `request` original error or with EBADREQUEST error if chunkSize is not a positive integer
+     *
+     * @param {Array} docs documents
+     * @param {Object} [opts] {newEdits, chunkSize}
+     * @param {Object} [requestOpts] options of every chunk request: {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    async bulkDocs(docs, {newEdits, chunkSize = BULK_CHUNK_SIZE} = {}, requestOpts = {}) {
+        if (!Array.isArray(docs)) {
+            throw new RequestError('EBADREQUEST', 'Documents should be passed as an array');
+        }
+
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+            throw new RequestError('EBADREQUEST', `Chunk size should be a positive integer: ${chunkSize}`);
+        }
+
+        const url = `${this._url}/_bulk_docs`;
+        const chunks = [];
+
+        for (let i = 0; i < docs.length; i += chunkSize) {
+            chunks.push(docs.slice(i, i + chunkSize));
+        }
+
+        if (!chunks.length) {
+            chunks.push([]);
+        }
+
+        const data = [];
+        let lastResponse;
+
+        for (const chunk of chunks) {
+            const requestBody = {
+                docs: chunk
+            };
+
+            if (newEdits !== undefined) {
+                requestBody.new_edits = newEdits;
+            }
+
+            const {res, body} = await this._couch._fetchWrapped(url, {
+                method: 'POST',
+                body: JSON.stringify(requestBody)
+            }, requestOpts);
+
+            if (res.status === 404) {
+                throw createResponseError('EDBMISSING', `Database not found: ${this._name}`, body, res);
+            }
+
+            this._checkDocumentManipulationStatus(res, body);
+
+            if (res.status !== 201 && res.status !== 202) {
+                throw createUnexpectedStatusError('writing documents in bulk', body, res);
+            }
+
+            for (const result of body) {
+                data.push(result.error ? Object.assign({code: BULK_ERROR_CODES[result.error] || 'EUNKNOWN'}, result) : result);
+            }
+
+            await Promise.all(body.filter(result => !result.error && result.id).map(result => this._invalidateDocument(result.id)));
+
+            lastResponse = res;
+        }
+
+        return {
+            data,
+            headers: lastResponse.headers,
+            status: lastResponse.status
+        };
+    }
+
+    /**
+     * Fetch the winning revision of a document and all its conflicting revisions. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {winner, conflicts, deletedConflicts}:
+     *   winner is the winning revision, conflicts are bodies of conflicting revisions
+     *   and deletedConflicts are revisions of deleted conflicting revisions
+     * - rejected with `request` original error
+     *
+     * @param {String} docId document id
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    async getConflicts(docId, requestOpts = {}) {
+        const {data: winner, headers, status} = await this.get(encodeURIComponent(docId), {
+            conflicts: true,
+            deleted_conflicts: true
+        }, requestOpts);
+
+        const {_conflicts: conflictRevs = [], _deleted_conflicts: deletedConflicts = [], ...doc} = winner;
+        const conflicts = conflictRevs.length ? await this._getRevisions(docId, conflictRevs, requestOpts) : [];
+
+        return {
+            data: {
+                winner: doc,
+                conflicts,
+                deletedConflicts
+            },
+            headers,
+            status
+        };
+    }
+
+    /**
+     * Resolve conflicts of a document: write the merged winner and delete conflicting revisions
+     * in a single _bulk_docs request. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is an array of per-document results
+     *   (empty if the document has no conflicts)
+     * - rejected with `request` original error or with the code of the first failed write (EDOCCONFLICT, etc)
+     *
+     * Resolver is called with the winning revision and an array of conflicting revisions.
+     * It returns the merged document (or a promise of it) or nothing to keep the winner as is.
+     *
+     * @param {String} docId document id
+     * @param {Function} resolver resolver function
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    async resolveConflicts(docId, resolver, requestOpts = {}) {
+        const {data: {winner, conflicts}, headers, status} = await this.getConflicts(docId, requestOpts);
+
+        if (!conflicts.length) {
+            return {
+                data: [],
+                headers,
+                status
+            };
+        }
+
+        const merged = await resolver(JSON.parse(JSON.stringify(winner)), conflicts);
+        const docs = conflicts.map(({_id, _rev}) => ({_id, _rev, _deleted: true}));
+
+        if (merged) {
+            docs.unshift(Object.assign({}, merged, {_id: winner._id, _rev: winner._rev}));
+        }
+
+        const result = await this.bulkDocs(docs, {}, requestOpts);
+        const failed = result.data.find(entry => entry.error);
+
+        if (failed) {
+            throw new RequestError(failed.code, `Conflicts of document are not resolved: ${failed.reason || failed.error}`, result.data);
+        }
+
+        return result;
+    }
+
+    /**
+     * Scan the database for conflicted documents. Returns an async iterator which
+     * yields {id, rev, conflicts} objects, where rev is the winning revision
+     * and conflicts are revisions of conflicting revisions
+     *
+     * Documents are read either from _all_docs (default) or from the changes feed,
+     * the latter can start from `since` sequence to scan only recent changes.
+     *
+     * @param {Object} [opts] {source: 'all_docs'|'changes', since, pageSize}
+     * @param {Object} [requestOpts] options of every request: {signal, timeout, headers, cache}
+     * @return {AsyncIterator}
+     */
+    async *iterateConflicts({source = 'all_docs', since, pageSize = ITERATION_PAGE_SIZE} = {}, requestOpts = {}) {
+        const rows = source === 'changes'
+            ? this._iterateChanges({include_docs: true, conflicts: true, since, pageSize}, requestOpts)
+            : this.iterateAllDocs({include_docs: true, conflicts: true, pageSize}, requestOpts);
+
+        for await (const row of rows) {
+            if (row.doc && row.doc._conflicts && !row.doc._deleted) {
+                yield {
+                    id: row.doc._id,
+                    rev: row.doc._rev,
+                    conflicts: row.doc._conflicts
+                };
+            }
+        }
+    }
+
+    /**
+     * Fetch data from CouchDB using Mango API. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String|Object} mangoQuery Mango query as json string or javascript object
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    mango(mangoQuery, requestOpts = {}) {
+        return this._find('_find', mangoQuery, requestOpts);
+    }
+
+    /**
+     * Iterate over all documents matching Mango query fetching them page by page using bookmarks.
+     * Returns an async iterable which
+     * - yields documents or pages ({docs, bookmark, execution_stats, warning}) if `pages` option is set
+     * - keeps the bookmark of the last page in its `bookmark` property
+     * - sums up `execution_stats` of fetched pages in its `executionStats` property
+     *
+     * @param {String|Object} mangoQuery Mango query as json string or javascript object
+     * @param {Object} [opts] {pageSize, pages}
+     * @param {Object} [requestOpts] options of every page request: {signal, timeout, headers, cache}
+     * @return {MangoIterator}
+     * @throws {RequestError} if query is invalid
+     */
+    mangoIterate(mangoQuery, {pageSize = ITERATION_PAGE_SIZE, pages = false} = {}, requestOpts = {}) {
+        return new MangoIterator(this, parseMangoQuery(mangoQuery), {pageSize, pages}, requestOpts);
+    }
+
+    /**
+     * Get the index which Mango query would use. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String|Object} mangoQuery Mango query as json string or javascript object
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    explain(mangoQuery, requestOpts = {}) {
+        const url = new URL(`${this._url}/_explain`);
+
+        try {
+            mangoQuery = parseMangoQuery(mangoQuery);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._couch._checkServerVersion(MANGO_SERVER_VERSION, requestOpts).then(() => this._couch._fetchWrapped(url, {
+            method: 'POST',
+            body: JSON.stringify(mangoQuery),
+        }, requestOpts)).then(({res, body}) => {
+            this._checkIndexStatus(res, body);
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Create Mango index. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {result, id, name}
+     * - rejected with `request` original error
+     *
+     * @param {Object} index {fields, name, ddoc, partial_filter_selector, type, partitioned}
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    createIndex({fields, name, ddoc, partial_filter_selector, type, partitioned} = {}, requestOpts = {}) {
+        const url = new URL(`${this._url}/_index`);
+
+        if (!Array.isArray(fields) || !fields.length) {
+            return Promise.reject(new RequestError('EFIELDMISSING', 'Index fields should be set'));
+        }
+
+        const index = {fields};
+        if (partial_filter_selector) {
+            index.partial_filter_selector = partial_filter_selector;
+        }
+
+        return this._couch._checkServerVersion(MANGO_SERVER_VERSION, requestOpts).then(() => this._couch._fetchWrapped(url, {
+            method: 'POST',
+            body: JSON.stringify({index, name, ddoc, type, partitioned}),
+        }, requestOpts)).then(({res, body}) => {
+            this._checkIndexStatus(res, body);
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * List Mango indexes of the database. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {total_rows, indexes}
+     * - rejected with `request` original error
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    listIndexes(requestOpts = {}) {
+        const url = new URL(`${this._url}/_index`);
+
+        return this._couch._checkServerVersion(MANGO_SERVER_VERSION, requestOpts).then(() => this._couch._fetchWrapped(url, {}, requestOpts)).then(({res, body}) => {
+            this._checkIndexStatus(res, body);
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Delete Mango index. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String} ddoc design document name with or without "_design/" prefix
+     * @param {String} name index name
+     * @param {String} [type] index type, "json" by default
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    deleteIndex(ddoc, name, type = 'json', requestOpts = {}) {
+        const ddocName = ddoc.replace(/^_design\//, '');
+        const url = new URL(`${this._url}/_index/${encodeURIComponent(ddocName)}/${encodeURIComponent(type)}/${encodeURIComponent(name)}`);
+
+        return this._couch._checkServerVersion(MANGO_SERVER_VERSION, requestOpts).then(() => this._couch._fetchWrapped(url, {
+            method: 'DELETE',
+        }, requestOpts)).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Index is not found', body, res);
+            }
+
+            this._checkIndexStatus(res, body);
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Delete a document in the database. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String} docId document id
+     * @param {String} attachmentName attachment name
+     * @param {String} docRevision document revision
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    delAttachment(docId, attachmentName, docRevision, requestOpts = {}) {
+        const url = new URL(`${this._url}/${encodeURIComponent(docId)}/${encodeURIComponent(attachmentName)}`);
+        url.searchParams.set('rev', docRevision);
+
+        return this._couch._fetchWrapped(url, {
+            method: 'DELETE',
+        }, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Attachment is not found', body, res);
+            }
+
+            if (res.status !== 200) {
+                throw createUnexpectedStatusError('deleting attachment', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument(docId, attachmentName).then(() => result));
+    }
+
+    /**
+     * Calls an update function in the database. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param  {String} designDocument     design document name
+     * @param  {String} updateFunctionName update function name
+     * @param  {Object} queryString        query string parameters
+     * @param  {String} docId              document id
+     * @param  {Object} [requestOpts]      {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    updateFunction(designDocument, updateFunctionName, queryString, docId, requestOpts = {}) {
+        const method = docId ? 'PUT' : 'POST';
+        queryString = queryString || {};
+
+        let url;
+
+        if (method === 'PUT') {
+            url = new URL(`${this._url}/_design/${designDocument}/_update/${updateFunctionName}/${docId}`);
+        } else {
+            url = new URL(`${this._url}/_design/${designDocument}/_update/${updateFunctionName}`);
+        }
+        
+        for (let prop in queryString) {
+            url.searchParams.set(prop, queryString[prop]);
+        }
+
+        return this._couch._fetchWrapped(url, {
+            method: method,
+        }, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Design document is not found', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 201 && res.status !== 202) {
+                throw createUnexpectedStatusError('calling update function', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => {
+            // update functions without document id can still create documents
+            // but their ids are not known in advance
+            return docId ? this._invalidateDocument(docId).then(() => result) : result;
+        });
+    }
+
+    /**
+     * Publish design document built from JavaScript functions. Returns a promise which is
+     * - resolved with {data, headers, status, changed} object, `changed` is false if CouchDB
+     *   already has the same design document and nothing has been written
+     * - rejected with `request` original error or with ETIMEDOUT error if staging views
+     *   haven't been built in time
+     *
+     * With `staging` option the document is published as "_design/{name}-staging" first,
+     * its views are built and then it's copied over the live design document, so that
+     * the live views are never rebuilt from scratch while clients query them.
+     *
+     * @param {String} name design document name without "_design/" prefix
+     * @param {Object|String} source {views, updates, filters, shows, lists, validate_doc_update, language}
+     *                               with functions or sources, or a path to the directory with them
+     * @param {Object} [opts] {staging, buildTimeout} build timeout in milliseconds, 60000 by default
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    async publishDesignDoc(name, source, {staging = false, buildTimeout = 60000} = {}, requestOpts = {}) {
+        name = name.replace(/^_design\//, '');
+
+        const designSource = (typeof source === 'string') ? await readDesignDocDir(source) : source;
+        const doc = buildDesignDoc(`_design/${name}`, designSource);
+        const live = await this._getDesignDoc(name, requestOpts);
+
+        if (live && isDesignDocEqual(live.data, doc)) {
+            return {
+                data: {ok: true, id: live.data._id, rev: live.data._rev},
+                headers: live.headers,
+                status: live.status,
+                changed: false
+            };
+        }
+
+        if (!staging) {
+            if (live) {
+                doc._rev = live.data._rev;
+            }
+
+            return Object.assign(await this._put(doc, requestOpts), {changed: true});
+        }
+
+        const stagingName = `${name}${STAGING_SUFFIX}`;
+        const stagingDoc = Object.assign({}, doc, {_id: `_design/${stagingName}`});
+        const previousStaging = await this._getDesignDoc(stagingName, requestOpts);
+
+        if (previousStaging) {
+            stagingDoc._rev = previousStaging.data._rev;
+        }
+
+        const {data: stagingResult} = await this._put(stagingDoc, requestOpts);
+
+        if (doc.views && Object.keys(doc.views).length) {
+            await this._buildViews(stagingName, Object.keys(doc.views)[0], buildTimeout, requestOpts);
+        }
+
+        const destination = `_design/${encodeURIComponent(name)}`;
+        const {res, body} = await this._couch._fetchWrapped(`${this._url}/_design/${encodeURIComponent(stagingName)}`, {
+            method: 'COPY',
+            headers: {
+                destination: live ? `${destination}?rev=${live.data._rev}` : destination
+            }
+        }, requestOpts);
+
+        this._checkDocumentManipulationStatus(res, body);
+
+        if (res.status !== 201 && res.status !== 202) {
+            throw createUnexpectedStatusError('copying staging design document', body, res);
+        }
+
+        await this._invalidateDocument(doc._id);
+
+        // live design document has the same views signature, so it keeps using the built index
+        await this.del(stagingDoc._id, stagingResult.rev, requestOpts);
+
+        return {
+            data: body,
+            headers: res.headers,
+            status: res.status,
+            changed: true
+        };
+    }
+
+    /**
+     * Follow the changes feed of the database. Returns an async iterable feed which
+     * - yields change rows ({seq, id, changes, doc?, deleted?})
+     * - keeps the last received sequence in its `lastSeq` property
+     * - throws RequestError if CouchDB responds with unexpected status code
+     *
+     * Feed reconnects after dropped connections starting from `lastSeq` unless `reconnect` is false.
+     * Call `stop()` to finish the iteration of longpoll/continuous/eventsource feeds.
+     *
+     * @param {Object} [opts] feed options: feed, since, heartbeat, include_docs, filter, selector, doc_ids,
+     *                        reconnect, reconnectDelay, maxReconnects and other _changes query params
+     * @param {Object} [requestOpts] {signal, headers}, aborted signal stops the feed
+     * @return {ChangesFeed}
+     */
+    changes(opts = {}, requestOpts = {}) {
+        return new ChangesFeed(this._couch, this._name, opts, requestOpts);
+    }
+
+    /**
+     * Read-modify-write of the security object section. Security object has no revisions,
+     * so the result is read again: if a concurrent write has overwritten it, the change is repeated
+     *
+     * @param {String} section either "admins" or "members"
+     * @param {Object} principals {names, roles}
+     * @param {Boolean} isAdded whether principals are added or removed
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _modifySecurity(section, principals, isAdded, requestOpts = {}) {
+        const readOpts = Object.assign({}, requestOpts, {cache: 'bypass'});
+        const isApplied = security => SECURITY_PRINCIPALS.every(field => {
+            return (principals[field] || []).every(principal => security[section][field].includes(principal) === isAdded);
+        });
+
+        return retryOnConflict(MODIFY_RETRIES, async () => {
+            const current = await this.getSecurity(readOpts);
+
+            if (isApplied(current.data)) {
+                return Object.assign(current, {changed: false});
+            }
+
+            const security = JSON.parse(JSON.stringify(current.data));
+            for (const field of SECURITY_PRINCIPALS) {
+                const list = security[section][field].filter(principal => !(principals[field] || []).includes(principal));
+                security[section][field] = isAdded ? list.concat(principals[field] || []) : list;
+            }
+
+            await this.setSecurity(security, requestOpts);
+
+            const written = await this.getSecurity(readOpts);
+            if (!isApplied(written.data)) {
+                throw new RequestError('EDOCCONFLICT', `Security object of ${this._name} has been changed concurrently`);
+            }
+
+            return Object.assign(written, {changed: true});
+        });
+    }
+
+    /**
+     * Check the status code of security object requests
+     *
+     * @param {Response} res
+     * @param {Object} body
+     * @param {String} forbiddenCode code of 403 error: user is not a member (reads) or not an admin (writes)
+     * @param {String} message message of the permission error
+     * @throws {RequestError}
+     */
+    _checkSecurityStatus(res, body, forbiddenCode, message) {
+        if (res.status === 404) {
+            throw createResponseError('EDBMISSING', `Database not found: ${this._name}`, body, res);
+        }
+
+        if (res.status === 401) {
+            throw createResponseError('EUNAUTHORIZED', message, body, res);
+        }
+
+        if (res.status === 403) {
+            throw createResponseError(forbiddenCode, message, body, res);
+        }
+    }
+
+    /**
+     * Fetch design document, resolves with null if it doesn't exist
+     *
+     * @param {String} name design document name without "_design/" prefix
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _getDesignDoc(name, requestOpts = {}) {
+        return this.get(`_design/${encodeURIComponent(name)}`, {}, requestOpts).catch(err => {
+            if (err.code === 'EDOCMISSING') {
+                return null;
+            }
+
+            throw err;
+        });
+    }
+
+    /**
+     * Waits until views of the design document are built. Views of one design document
+     * share the index, so querying one of them builds all of them
+     *
+     * @param {String} name design document name without "_design/" prefix
+     * @param {String} viewName any view of the design document
+     * @param {Number} buildTimeout timeout in milliseconds
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    async _buildViews(name, viewName, buildTimeout, requestOpts = {}) {
+        const viewRequestOpts = Object.assign({}, requestOpts, {
+            timeout: buildTimeout,
+            cache: 'bypass'
+        });
+
+        try {
+            await this.view(encodeURIComponent(name), encodeURIComponent(viewName), {limit: 0}, viewRequestOpts);
+        } catch (err) {
+            const isAborted = Boolean(requestOpts.signal && requestOpts.signal.aborted);
+
+            if (err.name === 'AbortError' && !isAborted) {
+                throw new RequestError('ETIMEDOUT', `Views of _design/${name} haven't been built in ${buildTimeout}ms`);
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Fetch rows of _all_docs or the view. Requests with `keys` are sent with POST method
+     *
+     * @param {String} uri
+     * @param {Object} query
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _queryRows(uri, query, requestOpts = {}) {
+        const {keys, ...params} = query;
+        const url = new URL(`${this._url}/${uri}`);
+        setQueryParams(url, params);
+
+        const fetchOpts = keys
+            ? {method: 'POST', body: JSON.stringify({keys})}
+            : {};
+
+        return this._couch._fetchWrapped(url, fetchOpts, requestOpts).then(({res, body}) => {
+            if (res.status === 400) {
+                throw createResponseError('EBADREQUEST', 'Invalid query parameters', body, res);
+            }
+
+            if (res.status === 401) {
+                throw createResponseError('EUNAUTHORIZED', 'Read privileges required', body, res);
+            }
+
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Database or view is not found', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching rows from the database', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Yields rows page by page. Every page is requested with one extra row which becomes
+     * `startkey` (and `startkey_docid` for map rows) of the next page. `keys` arrays are split
+     * into chunks of `pageSize` keys instead, because CouchDB doesn't allow startkey with keys
+     *
+     * @param {String} uri
+     * @param {Object} query
+     * @param {Object} [requestOpts]
+     * @return {AsyncIterator}
+     */
+    async *_iterateRows(uri, {pageSize = ITERATION_PAGE_SIZE, limit = Infinity, keys, ...params}, requestOpts = {}) {
+        let yielded = 0;
+
+        if (keys) {
+            for (let i = 0; i < keys.length && yielded < limit; i += pageSize) {
+                const pageQuery = Object.assign({}, params, {keys: keys.slice(i, i + pageSize)});
+                if (i > 0) {
+                    delete pageQuery.skip;
+                }
+
+                const {data} = await this._queryRows(uri, pageQuery, requestOpts);
+
+                for (const row of data.rows) {
+                    if (yielded >= limit) {
+                        return;
+                    }
+
+                    yielded += 1;
+                    yield row;
+                }
+            }
+
+            return;
+        }
+
+        // single key can match many rows of the view, so it's paginated as a range
+        if (params.key !== undefined) {
+            params.startkey = params.key;
+            params.endkey = params.key;
+            delete params.key;
+        }
+
+        let pageQuery = params;
+
+        while (yielded < limit) {
+            const pageLimit = Math.min(pageSize, limit - yielded);
+            const {data} = await this._queryRows(uri, Object.assign({}, pageQuery, {limit: pageLimit + 1}), requestOpts);
+            const rows = data.rows;
+
+            for (const row of rows.slice(0, pageLimit)) {
+                yielded += 1;
+                yield row;
+            }
+
+            if (rows.length <= pageLimit) {
+                return;
+            }
+
+            const nextRow = rows[pageLimit];
+            pageQuery = Object.assign({}, params, {startkey: nextRow.key});
+            delete pageQuery.skip;
+
+            // rows of reduced views have no id and their keys are unique
+            if (nextRow.id !== undefined && !uri.endsWith('_all_docs')) {
+                pageQuery.startkey_docid = nextRow.id;
+            }
+        }
+    }
+
+    /**
+     * Yields rows of the normal changes feed page by page. Every page is requested with `limit`
+     * starting from the last sequence of the previous page, so that the feed isn't read in one response
+     *
+     * @param {Object} opts changes feed options and `pageSize`
+     * @param {Object} [requestOpts]
+     * @return {AsyncIterator}
+     */
+    async *_iterateChanges({pageSize = ITERATION_PAGE_SIZE, since, ...opts}, requestOpts = {}) {
+        while (true) {
+            const feed = this.changes(Object.assign({}, opts, {feed: 'normal', since, limit: pageSize}), requestOpts);
+            let count = 0;
+
+            for await (const row of feed) {
+                count += 1;
+                yield row;
+            }
+
+            if (count < pageSize) {
+                return;
+            }
+
+            since = feed.lastSeq;
+        }
+    }
+
+    /**
+     * @param {Response} res
+     * @param {Object} body
+     * @throws {RequestError}
+     */
+    _checkIndexStatus(res, body) {
+        if (res.status === 400) {
+            throw createResponseError('EBADREQUEST', 'Invalid index or query parameters', body, res);
+        }
+
+        if (res.status === 401) {
+            throw createResponseError('EUNAUTHORIZED', 'Write privileges required', body, res);
+        }
+
+        if (res.status === 404) {
+            throw createResponseError('EDBMISSING', `Database not found: ${this._name}`, body, res);
+        }
+
+        if (res.status !== 200 && res.status !== 304) {
+            throw createUnexpectedStatusError('managing indexes', body, res);
+        }
+    }
+
+    /**
+     * Reports full scans if `mangoIndexWarning` instance option is set
+     *
+     * @param {Object} body _find response
+     * @param {Object} mangoQuery
+     * @throws {RequestError}
+     */
+    _checkMangoWarning(body, mangoQuery) {
+        const mode = this._couch._mangoIndexWarning;
+
+        if (!mode || !body || typeof body.warning !== 'string' || !NO_INDEX_WARNING.test(body.warning)) {
+            return;
+        }
+
+        if (mode === 'error') {
+            throw new RequestError('ENOINDEX', `${body.warning} (database: ${this._name})`, body);
+        }
+
+        if (typeof mode === 'function') {
+            mode(body.warning, {dbName: this._name, query: mangoQuery});
+        } else {
+            // library doesn't write to the console: process warnings can be handled with process.on('warning')
+            process.emitWarning(`${body.warning} (database: ${this._name}, selector: ${JSON.stringify(mangoQuery.selector)})`, {
+                type: 'NodeCouchDBWarning',
+                code: 'ENOINDEX'
+            });
+        }
+    }
+
+    /**
+     * Put the document into the database
+     *
+     * @param {Object} data should contain "_id" field
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _put(data, requestOpts = {}) {
+        const url = `${this._url}/${encodeURIComponent(data._id)}`;
+
+        return this._couch._fetchWrapped(url, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        }, requestOpts).then(({res, body}) => {
+            this._checkDocumentManipulationStatus(res, body)
+
+            if (!(res.status >= 200 && res.status <= 202)) {
+                throw createUnexpectedStatusError('inserting document into the database', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        }).then(result => this._invalidateDocument(data._id).then(() => result));
+    }
+
+    /**
+     * Fetch bodies of the document revisions
+     *
+     * @param {String} docId document id
+     * @param {Array} revs revisions
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _getRevisions(docId, revs, requestOpts = {}) {
+        const url = new URL(`${this._url}/${encodeURIComponent(docId)}`);
+        url.searchParams.set('open_revs', JSON.stringify(revs));
+
+        // without this header CouchDB responds with multipart body
+        return this._couch._fetchWrapped(url, {
+            headers: {
+                accept: 'application/json'
+            }
+        }, requestOpts).then(({res, body}) => {
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Document is not found', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching document revisions', body, res);
+            }
+
+            // revisions which have been removed by compaction are returned as {missing: rev}
+            return body.filter(entry => entry.ok).map(entry => entry.ok);
+        });
+    }
+
+    /**
+     * Fetch documents using Mango API
+     *
+     * @param {String} uri either _find or _partition/{partition}/_find
+     * @param {String|Object} mangoQuery Mango query as json string or javascript object
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _find(uri, mangoQuery, requestOpts = {}) {
+        const url = new URL(`${this._url}/${uri}`);
+
+        try {
+            mangoQuery = parseMangoQuery(mangoQuery);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        const fetchOpts = {
+            method: 'POST',
+            body: JSON.stringify(mangoQuery),
+        };
+
+        return this._couch._checkServerVersion(MANGO_SERVER_VERSION, requestOpts).then(() => this._couch._fetchWrapped(url, fetchOpts, requestOpts)).then(({res, body}) => {
+            // partitioned queries are rejected by non-partitioned databases
+            if (res.status === 400) {
+                throw createResponseError('EBADREQUEST', 'Invalid Mango query or database is not partitioned', body, res);
+            }
+
+            if (res.status === 404) {
+                throw createResponseError('EDOCMISSING', 'Document is not found', body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching documents from the database', body, res);
+            }
+
+            this._checkMangoWarning(body, mangoQuery);
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Evicts cached responses of the document and its attachment
+     *
+     * @param {String} docId document id
+     * @param {String} [attachmentName] attachment name
+     * @return {Promise}
+     */
+    _invalidateDocument(docId, attachmentName) {
+        const docUrl = `${this._url}/${encodeURIComponent(docId)}`;
+
+        // get() takes document uri as is, so both variants could have been cached
+        const urls = new Set([docUrl, new URL(`${this._url}/${docId}`).toString()]);
+
+        if (attachmentName !== undefined) {
+            urls.add(`${docUrl}/${encodeURIComponent(attachmentName)}`);
+        }
+
+        return this._couch._invalidateCache([...urls]);
+    }
+
+    /**
+     * Check the status code of a documentation manipulation like INSERT, UPDATE, DELETE
+     *
+     * @param {Response} res
+     * @param {Object} body
+     * @throws {RequestError}
+     */
+    _checkDocumentManipulationStatus(res, body) {
+      if (res.status === 400) {
+          throw createResponseError('EBADREQUEST', 'Invalid request body or parameters', body, res);
+      }
+
+      if (res.status === 401) {
+          throw createResponseError('EUNAUTHORIZED', 'Write privileges required', body, res);
+      }
+
+      if (res.status === 403) {
+          throw createResponseError('EFORBIDDEN', `Document is rejected: ${body && body.reason}`, body, res);
+      }
+
+      if (res.status === 404) {
+          throw createResponseError('EDOCMISSING', 'Document not found', body, res);
+      }
+
+      if (res.status === 409) {
+          throw createResponseError('EDOCCONFLICT', 'Document insert conflict', body, res);
+      }
+    }
+}
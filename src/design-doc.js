@@ -0,0 +1,190 @@
+'use strict';
+import {promises as fs} from 'fs';
+import path from 'path';
+
+// design document fields which contain {name: function} maps
+// @see https://docs.couchdb.org/en/stable/ddocs/ddocs.html
+const FUNCTION_MAPS = ['updates', 'filters', 'shows', 'lists'];
+
+// directory files are either function sources or CommonJS/ES modules exporting one function
+const MODULE_EXPORT = /^\s*(module\.exports\s*=|export\s+default)\s*/;
+
+/**
+ * Serializes function into the source which CouchDB query server can evaluate.
+ * Strings are treated as sources already, e.g. "_sum" built-in reduce functions
+ *
+ * @param {Function|String} fn
+ * @return {String}
+ */
+function serializeFunction(fn) {
+    if (typeof fn !== 'function') {
+        return fn;
+    }
+
+    const source = fn.toString();
+
+    // method shorthands like `map(doc) {}` are not valid expressions on their own
+    try {
+        new Function(`return (${source});`);
+        return source;
+    } catch (err) {
+        return `function ${source}`;
+    }
+}
+
+/**
+ * @param {Object} functions {name: function}
+ * @return {Object}
+ */
+function serializeFunctions(functions) {
+    const serialized = {};
+
+    for (const name of Object.keys(functions)) {
+        serialized[name] = serializeFunction(functions[name]);
+    }
+
+    return serialized;
+}
+
+/**
+ * Serializes value with sorted object keys, so that equal documents have equal strings
+ *
+ * @param {*} value
+ * @return {String}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const pairs = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${pairs.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Builds design document from the source object. Functions are serialized,
+ * views can be either functions (map only) or {map, reduce} objects,
+ * other fields like `options` or `autoupdate` are kept as is
+ *
+ * @param {String} ddocId design document id
+ * @param {Object} source {views, updates, filters, shows, lists, validate_doc_update, language}
+ * @return {Object}
+ */
+export function buildDesignDoc(ddocId, source) {
+    const doc = Object.assign({}, source, {
+        _id: ddocId,
+        language: source.language || 'javascript'
+    });
+
+    if (source.views) {
+        doc.views = {};
+
+        for (const viewName of Object.keys(source.views)) {
+            const view = source.views[viewName];
+            doc.views[viewName] = (typeof view === 'function' || typeof view === 'string')
+                ? {map: serializeFunction(view)}
+                : serializeFunctions(view);
+        }
+    }
+
+    for (const field of FUNCTION_MAPS) {
+        if (source[field]) {
+            doc[field] = serializeFunctions(source[field]);
+        }
+    }
+
+    if (source.validate_doc_update) {
+        doc.validate_doc_update = serializeFunction(source.validate_doc_update);
+    }
+
+    return doc;
+}
+
+/**
+ * Checks if design documents have the same contents. Fields starting with underscore
+ * like `_rev` and `_attachments` are not compared
+ *
+ * @param {Object} existing design document from CouchDB
+ * @param {Object} doc built design document
+ * @return {Boolean}
+ */
+export function isDesignDocEqual(existing, doc) {
+    const strip = ddoc => Object.keys(ddoc)
+        .filter(key => !key.startsWith('_'))
+        .reduce((stripped, key) => Object.assign(stripped, {[key]: ddoc[key]}), {});
+
+    return stableStringify(strip(existing)) === stableStringify(strip(doc));
+}
+
+/**
+ * Reads design document source from the directory:
+ * views/{view}/map.js, views/{view}/reduce.js, {updates,filters,shows,lists}/{name}.js,
+ * validate_doc_update.js. Reduce file can contain built-in reduce function name like "_sum"
+ *
+ * @param {String} dir directory path
+ * @return {Promise}
+ */
+export async function readDesignDocDir(dir) {
+    const source = {};
+
+    const readSource = async file => {
+        const contents = await fs.readFile(file, 'utf8');
+        return contents.replace(MODULE_EXPORT, '').trim().replace(/;$/, '');
+    };
+
+    const listDir = async subdir => {
+        try {
+            return (await fs.readdir(path.join(dir, subdir), {withFileTypes: true})).sort((a, b) => a.name.localeCompare(b.name));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+
+            throw err;
+        }
+    };
+
+    for (const entry of await listDir('views')) {
+        if (!entry.isDirectory()) {
+            continue;
+        }
+
+        const view = {};
+
+        for (const file of await listDir(path.join('views', entry.name))) {
+            const kind = path.basename(file.name, '.js');
+
+            if (file.isFile() && (kind === 'map' || kind === 'reduce')) {
+                view[kind] = await readSource(path.join(dir, 'views', entry.name, file.name));
+            }
+        }
+
+        if (view.map) {
+            source.views = Object.assign(source.views || {}, {[entry.name]: view});
+        }
+    }
+
+    for (const field of FUNCTION_MAPS) {
+        for (const file of await listDir(field)) {
+            if (file.isFile() && path.extname(file.name) === '.js') {
+                source[field] = Object.assign(source[field] || {}, {
+                    [path.basename(file.name, '.js')]: await readSource(path.join(dir, field, file.name))
+                });
+            }
+        }
+    }
+
+    try {
+        source.validate_doc_update = await readSource(path.join(dir, 'validate_doc_update.js'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+
+    return source;
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * @param {*} body
+ * @return {Boolean}
+ */
+export function isStream(body) {
+    return Boolean(body) && typeof body.pipe === 'function';
+}
+
+/**
+ * Same error as `fetch` rejects with, so that requests aborted before they are sent
+ * (in the queue, between retries) look the same for retries and lifecycle events
+ *
+ * @param {String} message
+ * @return {Error}
+ */
+export function createAbortError(message) {
+    const err = new Error(message);
+    err.name = 'AbortError';
+    err.type = 'aborted';
+
+    return err;
+}
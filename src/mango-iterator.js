@@ -0,0 +1,78 @@
+'use strict';
+
+export default class MangoIterator {
+    constructor(db, mangoQuery, {pageSize, pages}, requestOpts = {}) {
+        this._db = db;
+        this._requestOpts = requestOpts;
+        this._query = mangoQuery;
+        this._pageSize = pageSize;
+        this._pages = pages;
+
+        this.bookmark = mangoQuery.bookmark === undefined ? null : mangoQuery.bookmark;
+        this.executionStats = null;
+    }
+
+    /**
+     * Yields documents (or pages if `pages` option is set) following the bookmark of the previous page.
+     * Iteration finishes when a page is shorter than requested or `limit` of the query is reached.
+     * If the query has `execution_stats` option, stats of all fetched pages are summed up in `executionStats` property
+     *
+     * @return {AsyncIterator}
+     */
+    async *[Symbol.asyncIterator]() {
+        const {limit = Infinity, skip, ...params} = this._query;
+        let fetched = 0;
+
+        while (fetched < limit) {
+            const pageLimit = Math.min(this._pageSize, limit - fetched);
+            const pageQuery = Object.assign({}, params, {limit: pageLimit});
+
+            // skipped documents are already behind the bookmark of the next pages
+            if (fetched === 0 && skip !== undefined) {
+                pageQuery.skip = skip;
+            }
+
+            if (this.bookmark !== null) {
+                pageQuery.bookmark = this.bookmark;
+            }
+
+            const {data} = await this._db.mango(pageQuery, this._requestOpts);
+            fetched += data.docs.length;
+
+            this.bookmark = data.bookmark === undefined ? null : data.bookmark;
+            this._aggregateStats(data.execution_stats);
+
+            if (this._pages) {
+                if (data.docs.length) {
+                    yield data;
+                }
+            } else {
+                yield* data.docs;
+            }
+
+            if (data.docs.length < pageLimit || this.bookmark === null) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * @param {Object} [stats] execution_stats of the page
+     */
+    _aggregateStats(stats) {
+        if (!stats) {
+            return;
+        }
+
+        if (!this.executionStats) {
+            this.executionStats = Object.assign({}, stats);
+            return;
+        }
+
+        for (let prop in stats) {
+            if (typeof stats[prop] === 'number') {
+                this.executionStats[prop] = (this.executionStats[prop] || 0) + stats[prop];
+            }
+        }
+    }
+}
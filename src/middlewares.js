@@ -0,0 +1,264 @@
+'use strict';
+
+import {Response} from 'node-fetch';
+import RequestError from './request-error.js';
+import {createAbortError, isStream} from './helpers.js';
+
+/**
+ * Built-in middlewares of the request pipeline. Every middleware has the same signature:
+ * `(req, next) => Promise<{res, body}>` where `req` is {url, method, headers, body, responseType, timeout, signal, cache}
+ * and `next(req)` passes the request to the next middleware. Middleware can change the request
+ * before calling `next`, inspect the result afterwards or return a result without calling `next` at all.
+ */
+
+/**
+ * Waits for the delay. Returns a promise which is
+ * - resolved when the delay has passed
+ * - rejected with AbortError if the signal is aborted before that
+ *
+ * @param {Number} delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError('The request was aborted while waiting for the retry.'));
+        };
+
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+
+            resolve();
+        }, delay);
+
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, {once: true});
+            }
+        }
+    });
+}
+
+/**
+ * Sends conditional requests for the cached responses and stores responses which have ETag.
+ * Binary responses and range requests are never cached: cached full body can't answer
+ * the range request revalidated with 304 status code. Request cache mode "bypass" skips the cache entirely,
+ * "only-if-cached" returns the cached response without sending the request at all
+ * and rejects with ENOTCACHED error if there's no such response
+ *
+ * @param {NodeCouchDB} couch
+ * @return {Function}
+ */
+export function cacheMiddleware(couch) {
+    return async (req, next) => {
+        const cache = couch._cache;
+        const isRange = Object.keys(req.headers).some(name => name.toLowerCase() === 'range');
+        const isCacheable = Boolean(cache) && req.method === 'GET' && req.responseType === 'auto' && !isRange;
+
+        if (req.cache === 'only-if-cached' && !isCacheable) {
+            throw new RequestError('ENOTCACHED', 'Response is not cached');
+        }
+
+        if (!isCacheable || req.cache === 'bypass') {
+            return next(req);
+        }
+
+        const cacheKey = couch._getCacheKey(req.url);
+
+        // cache plugin returns null if record doesn't exist
+        const {etag, body: cacheBody} = (await cache.get(cacheKey)) || {};
+
+        if (req.cache === 'only-if-cached') {
+            if (!etag) {
+                throw new RequestError('ENOTCACHED', 'Response is not cached');
+            }
+
+            if (couch._hasEventListeners()) {
+                couch._emitEvent('cacheHit', couch._getEventInfo(req));
+            }
+
+            return {
+                res: new Response(null, {status: 200, headers: {etag}}),
+                body: cacheBody
+            };
+        }
+
+        if (etag) {
+            req.headers['if-none-match'] = etag;
+        }
+
+        const {res, body} = await next(req);
+
+        // cached body is returned only if it's still valid
+        if (res.status === 304) {
+            if (couch._hasEventListeners()) {
+                couch._emitEvent('cacheHit', couch._getEventInfo(req));
+                couch._emitEvent('cacheRevalidated', Object.assign(couch._getEventInfo(req), {status: res.status}));
+            }
+
+            return {
+                res,
+                body: cacheBody
+            };
+        }
+
+        if (res.status === 200 && res.headers.get('etag')) {
+            // cache plugins can be either sync or async, their failures never fail the request
+            Promise.resolve()
+                .then(() => cache.set(cacheKey, {
+                    body,
+                    etag: res.headers.get('etag')
+                }))
+                .catch(() => {});
+        }
+
+        return {res, body};
+    };
+}
+
+/**
+ * Repeats the request according to the retry policy if it failed with network error,
+ * timed out or CouchDB responded with one of retriable status codes.
+ * Requests with stream bodies and requests aborted by the caller are never repeated
+ *
+ * @param {NodeCouchDB} couch
+ * @return {Function}
+ */
+export function retryMiddleware(couch) {
+    return async (req, next) => {
+        const policy = couch._retry;
+
+        if (!policy || isStream(req.body)) {
+            return next(req);
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            let result = null;
+            let error = null;
+
+            try {
+                result = await next(req);
+            } catch (err) {
+                error = err;
+            }
+
+            const res = result && result.res;
+            const isAborted = Boolean(req.signal && req.signal.aborted);
+
+            if (isAborted || !policy.shouldRetry(attempt, req.method, error, res)) {
+                if (error) {
+                    throw error;
+                }
+
+                return result;
+            }
+
+            const delay = policy.getDelay(attempt, res);
+            policy.notify({
+                attempt,
+                delay,
+                method: req.method,
+                url: req.url.toString(),
+                error,
+                status: res ? res.status : null
+            });
+
+            // aborted request stops waiting and is rejected with the same error as fetch
+            await sleep(delay, req.signal);
+        }
+    };
+}
+
+/**
+ * Adds headers of the authentication strategy and lets it renew credentials
+ * and repeat the request once if CouchDB rejected them
+ *
+ * @param {NodeCouchDB} couch
+ * @return {Function}
+ */
+export function authMiddleware(couch) {
+    return async (req, next) => {
+        const auth = couch._auth;
+
+        if (!auth) {
+            return next(req);
+        }
+
+        const send = async () => {
+            const headers = Object.assign({}, await auth.getHeaders(), req.headers);
+            const result = await next(Object.assign({}, req, {headers}));
+
+            if (typeof auth.onResponse === 'function') {
+                auth.onResponse(result.res);
+            }
+
+            return result;
+        };
+
+        const result = await send();
+
+        // stream bodies can't be sent twice
+        if (result.res.status !== 401 || isStream(req.body) || typeof auth.onUnauthorized !== 'function') {
+            return result;
+        }
+
+        return (await auth.onUnauthorized(result.res)) ? send() : result;
+    };
+}
+
+/**
+ * Emits lifecycle events of every attempt: "request" before it's sent, then either "response",
+ * "timeout" (instance or per-request timeout has expired) or "error" (network error, aborted request)
+ *
+ * @param {NodeCouchDB} couch
+ * @return {Function}
+ */
+export function eventsMiddleware(couch) {
+    return async (req, next) => {
+        if (!couch._hasEventListeners()) {
+            return next(req);
+        }
+
+        const info = couch._getEventInfo(req);
+        const startedAt = Date.now();
+
+        couch._emitEvent('request', info);
+
+        try {
+            const result = await next(req);
+            const contentLength = result.res.headers.get('content-length');
+
+            // read bodies are counted, unread (streamed) ones can only have Content-Length
+            let bytes = typeof result.bytes === 'number' ? result.bytes : null;
+            if (bytes === null && contentLength !== null) {
+                bytes = Number(contentLength);
+            }
+
+            couch._emitEvent('response', Object.assign({}, info, {
+                status: result.res.status,
+                duration: Date.now() - startedAt,
+                bytes
+            }));
+
+            return result;
+        } catch (err) {
+            // requests are aborted either by the timer or by the caller
+            const isTimeout = err.name === 'AbortError' && !(req.signal && req.signal.aborted);
+
+            couch._emitEvent(isTimeout ? 'timeout' : 'error', Object.assign({}, info, {
+                status: null,
+                duration: Date.now() - startedAt,
+                bytes: null,
+                error: err
+            }));
+
+            throw err;
+        }
+    };
+}
@@ -0,0 +1,195 @@
+'use strict';
+import RequestError, {createResponseError, createUnexpectedStatusError} from './request-error.js';
+
+/**
+ * Handle bound to a partition of a partitioned database (CouchDB 3+).
+ * Document ids of partitioned databases have "partition:id" format.
+ */
+export default class Partition {
+    constructor(db, key) {
+        if (typeof key !== 'string' || !key || key.startsWith('_') || key.includes(':')) {
+            throw new RequestError('EBADREQUEST', `Invalid partition key: ${key}`);
+        }
+
+        this._db = db;
+        this._key = key;
+        this._uri = `_partition/${encodeURIComponent(key)}`;
+    }
+
+    get key() {
+        return this._key;
+    }
+
+    /**
+     * Fetch partition information. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {db_name, partition, doc_count, ...}
+     * - rejected with `request` original error
+     *
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    info(requestOpts = {}) {
+        return this._db._couch._fetchWrapped(`${this._db._url}/${this._uri}`, {}, requestOpts).then(({res, body}) => {
+            if (res.status === 400) {
+                throw createResponseError('EBADREQUEST', `Database is not partitioned: ${this._db.name}`, body, res);
+            }
+
+            if (res.status === 401) {
+                throw createResponseError('EUNAUTHORIZED', 'Read privileges required', body, res);
+            }
+
+            if (res.status === 404) {
+                throw createResponseError('EDBMISSING', `Database not found: ${this._db.name}`, body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('fetching partition information', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Fetch a document of the partition. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EBADDOCID error if id doesn't belong to the partition
+     *
+     * @param {String} docId document id in "partition:id" format
+     * @param {Object} [query] query options as key: value
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    get(docId, query = {}, requestOpts = {}) {
+        try {
+            this._checkDocId(docId);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._db.get(encodeURIComponent(docId), query, requestOpts);
+    }
+
+    /**
+     * Insert a document into the partition. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EBADDOCID error if id doesn't belong to the partition
+     *
+     * @param {Object} data should contain "_id" field in "partition:id" format
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    insert(data, requestOpts = {}) {
+        try {
+            this._checkDocId(data._id);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._db.insert(data, requestOpts);
+    }
+
+    /**
+     * Update a document of the partition. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EBADDOCID error if id doesn't belong to the partition
+     *
+     * @param {Object} data should contain both "_id" and "_rev" fields
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    update(data, requestOpts = {}) {
+        if (data._id) {
+            try {
+                this._checkDocId(data._id);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
+        return this._db.update(data, requestOpts);
+    }
+
+    /**
+     * Fetch rows of partition _all_docs. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {total_rows, offset, rows}
+     * - rejected with `request` original error
+     *
+     * @param {Object} [query] query options as key: value
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    allDocs(query = {}, requestOpts = {}) {
+        return this._db._queryRows(`${this._uri}/_all_docs`, query, requestOpts);
+    }
+
+    /**
+     * Fetch rows of the partitioned view. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is {total_rows, offset, rows}
+     * - rejected with `request` original error
+     *
+     * @param {String} designDocument design document name without "_design/" prefix
+     * @param {String} viewName view name
+     * @param {Object} [query] query options as key: value
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    view(designDocument, viewName, query = {}, requestOpts = {}) {
+        return this._db._queryRows(`${this._uri}/_design/${designDocument}/_view/${viewName}`, query, requestOpts);
+    }
+
+    /**
+     * Iterate over all documents of the partition fetching them page by page.
+     * Returns an async iterator which yields rows
+     *
+     * @param {Object} [query] query options as key: value and `pageSize` (100 by default)
+     * @param {Object} [requestOpts] options of every page request: {signal, timeout, headers, cache}
+     * @return {AsyncIterator}
+     */
+    iterateAllDocs(query = {}, requestOpts = {}) {
+        return this._db._iterateRows(`${this._uri}/_all_docs`, query, requestOpts);
+    }
+
+    /**
+     * Iterate over all rows of the partitioned view fetching them page by page.
+     * Returns an async iterator which yields rows
+     *
+     * @param {String} designDocument design document name without "_design/" prefix
+     * @param {String} viewName view name
+     * @param {Object} [query] query options as key: value and `pageSize` (100 by default)
+     * @param {Object} [requestOpts] options of every page request: {signal, timeout, headers, cache}
+     * @return {AsyncIterator}
+     */
+    iterateView(designDocument, viewName, query = {}, requestOpts = {}) {
+        return this._db._iterateRows(`${this._uri}/_design/${designDocument}/_view/${viewName}`, query, requestOpts);
+    }
+
+    /**
+     * Fetch documents of the partition using Mango API. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String|Object} mangoQuery Mango query as json string or javascript object
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    mango(mangoQuery, requestOpts = {}) {
+        return this._db._find(`${this._uri}/_find`, mangoQuery, requestOpts);
+    }
+
+    /**
+     * @param {String} docId
+     * @throws {RequestError}
+     */
+    _checkDocId(docId) {
+        const prefix = `${this._key}:`;
+
+        if (typeof docId !== 'string' || !docId.startsWith(prefix) || docId.length === prefix.length) {
+            throw new RequestError('EBADDOCID', `Document id should have "${prefix}id" format: ${docId}`);
+        }
+    }
+}
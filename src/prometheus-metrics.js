@@ -0,0 +1,185 @@
+'use strict';
+
+// request duration histogram buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Aggregates lifecycle events of node-couchdb instances into request duration histograms
+ * and counters of failed requests and revalidated cache entries
+ */
+export default class PrometheusMetrics {
+    constructor({prefix = 'nodecouchdb', buckets = DEFAULT_BUCKETS, dbNameLabel = true} = {}) {
+        this._prefix = prefix;
+        this._buckets = buckets.slice().sort((a, b) => a - b);
+        this._dbNameLabel = dbNameLabel;
+
+        this._histograms = new Map();
+        this._failures = new Map();
+        this._cacheRevalidations = new Map();
+        this._instances = [];
+    }
+
+    /**
+     * Subscribes to events of node-couchdb instance and reports its queue metrics
+     *
+     * @param {NodeCouchDB} couch
+     * @return {PrometheusMetrics}
+     */
+    attach(couch) {
+        this._instances.push(couch);
+
+        couch.on('response', event => this.observe('response', event));
+        couch.on('timeout', event => this.observe('timeout', event));
+        couch.on('error', event => this.observe('error', event));
+        couch.on('cacheRevalidated', event => this.observe('cacheRevalidated', event));
+
+        return this;
+    }
+
+    /**
+     * Aggregates lifecycle event
+     *
+     * @param {String} type event type
+     * @param {Object} event event payload
+     */
+    observe(type, event) {
+        if (type === 'response') {
+            const key = this._getLabelsKey(event, {status: String(event.status)});
+            const histogram = this._histograms.get(key) || {
+                labels: JSON.parse(key),
+                buckets: this._buckets.map(le => ({le, count: 0})),
+                sum: 0,
+                count: 0
+            };
+
+            const seconds = event.duration / 1000;
+            for (const bucket of histogram.buckets) {
+                if (seconds <= bucket.le) {
+                    bucket.count += 1;
+                }
+            }
+
+            histogram.sum += seconds;
+            histogram.count += 1;
+            this._histograms.set(key, histogram);
+        } else if (type === 'timeout' || type === 'error') {
+            increment(this._failures, this._getLabelsKey(event, {reason: type}));
+        } else if (type === 'cacheRevalidated') {
+            increment(this._cacheRevalidations, this._getLabelsKey(event, {}));
+        }
+    }
+
+    /**
+     * Get request duration histograms: [{labels, buckets: [{le, count}], sum, count}]
+     *
+     * @return {Array}
+     */
+    histograms() {
+        return [...this._histograms.values()];
+    }
+
+    /**
+     * Get metrics in Prometheus text exposition format
+     *
+     * @return {String}
+     */
+    toString() {
+        const durationName = `${this._prefix}_request_duration_seconds`;
+        const failuresName = `${this._prefix}_request_failures_total`;
+        const cacheName = `${this._prefix}_cache_revalidated_total`;
+
+        const lines = [
+            `# HELP ${durationName} Duration of CouchDB requests in seconds.`,
+            `# TYPE ${durationName} histogram`
+        ];
+
+        for (const {labels, buckets, sum, count} of this._histograms.values()) {
+            for (const {le, count: bucketCount} of buckets) {
+                lines.push(`${durationName}_bucket${formatLabels(Object.assign({}, labels, {le: String(le)}))} ${bucketCount}`);
+            }
+
+            lines.push(`${durationName}_bucket${formatLabels(Object.assign({}, labels, {le: '+Inf'}))} ${count}`);
+            lines.push(`${durationName}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${durationName}_count${formatLabels(labels)} ${count}`);
+        }
+
+        lines.push(`# HELP ${failuresName} CouchDB requests which have timed out or failed without response.`);
+        lines.push(`# TYPE ${failuresName} counter`);
+        for (const [key, count] of this._failures) {
+            lines.push(`${failuresName}${formatLabels(JSON.parse(key))} ${count}`);
+        }
+
+        lines.push(`# HELP ${cacheName} Cached responses which CouchDB has confirmed with 304 status code.`);
+        lines.push(`# TYPE ${cacheName} counter`);
+        for (const [key, count] of this._cacheRevalidations) {
+            lines.push(`${cacheName}${formatLabels(JSON.parse(key))} ${count}`);
+        }
+
+        if (this._instances.length) {
+            const queueStats = this._instances.map(couch => couch.queueStats());
+            const sum = field => queueStats.reduce((total, stats) => total + stats[field], 0);
+
+            lines.push(`# HELP ${this._prefix}_queue_active_requests Requests which are being sent.`);
+            lines.push(`# TYPE ${this._prefix}_queue_active_requests gauge`);
+            lines.push(`${this._prefix}_queue_active_requests ${sum('active')}`);
+            lines.push(`# HELP ${this._prefix}_queue_pending_requests Requests waiting for the concurrency limit.`);
+            lines.push(`# TYPE ${this._prefix}_queue_pending_requests gauge`);
+            lines.push(`${this._prefix}_queue_pending_requests ${sum('pending')}`);
+            lines.push(`# HELP ${this._prefix}_queue_wait_seconds_total Time spent by requests in the queue in seconds.`);
+            lines.push(`# TYPE ${this._prefix}_queue_wait_seconds_total counter`);
+            lines.push(`${this._prefix}_queue_wait_seconds_total ${sum('waitTimeTotal') / 1000}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Drops all aggregated values
+     */
+    reset() {
+        this._histograms.clear();
+        this._failures.clear();
+        this._cacheRevalidations.clear();
+    }
+
+    /**
+     * Serializes labels of the event, so that they can be used as a Map key
+     *
+     * @param {Object} event
+     * @param {Object} extraLabels
+     * @return {String}
+     */
+    _getLabelsKey(event, extraLabels) {
+        const labels = {
+            method: event.method,
+            operation: event.operation
+        };
+
+        if (this._dbNameLabel) {
+            labels.db = event.dbName || '';
+        }
+
+        return JSON.stringify(Object.assign(labels, extraLabels));
+    }
+}
+
+/**
+ * @param {Map} counters
+ * @param {String} key
+ */
+function increment(counters, key) {
+    counters.set(key, (counters.get(key) || 0) + 1);
+}
+
+/**
+ * @param {Object} labels
+ * @return {String}
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(name => {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${value}"`;
+    });
+
+    return `{${pairs.join(',')}}`;
+}
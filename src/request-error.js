@@ -0,0 +1,144 @@
+'use strict';
+
+// requests of the received responses: method and URL aren't available in fetch Response
+const responseRequests = new WeakMap();
+
+// codes of statuses which methods don't handle on their own
+const STATUS_CODES = {
+    400: 'EBADREQUEST',
+    401: 'EUNAUTHORIZED',
+    403: 'EFORBIDDEN',
+    404: 'EDOCMISSING',
+    409: 'EDOCCONFLICT',
+    412: 'EPRECONDITIONFAILED',
+    413: 'ETOOLARGE',
+    415: 'EBADCONTENTTYPE',
+    429: 'ETOOMANYREQUESTS'
+};
+
+export default class RequestError extends Error {
+    constructor(code, message, body, res) {
+        super(message);
+
+        const request = (res && responseRequests.get(res)) || {};
+        const hasCouchError = Boolean(body) && typeof body === 'object';
+
+        this.name = this.constructor.name;
+        this.code = code;
+        this.body = body;
+        this.status = res ? res.status : null;
+        this.method = request.method || null;
+        this.url = request.url || (res && res.url) || null;
+        this.couchError = (hasCouchError && body.error) || null;
+        this.reason = (hasCouchError && body.reason) || null;
+    }
+}
+
+// 400
+export class BadRequestError extends RequestError {}
+
+// 401
+export class UnauthorizedError extends RequestError {}
+
+// 403, e.g. validate_doc_update rejections
+export class ForbiddenError extends RequestError {}
+
+// 404
+export class NotFoundError extends RequestError {}
+
+// 409
+export class ConflictError extends RequestError {}
+
+// 412
+export class PreconditionFailedError extends RequestError {}
+
+// 413
+export class PayloadTooLargeError extends RequestError {}
+
+// 415
+export class UnsupportedMediaTypeError extends RequestError {}
+
+// 429
+export class TooManyRequestsError extends RequestError {}
+
+// 5xx
+export class ServerError extends RequestError {}
+
+const STATUS_CLASSES = {
+    400: BadRequestError,
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    412: PreconditionFailedError,
+    413: PayloadTooLargeError,
+    415: UnsupportedMediaTypeError,
+    429: TooManyRequestsError
+};
+
+/**
+ * Remembers the request of the response, so that errors can report method and URL
+ *
+ * @param {Response} res
+ * @param {Object} req {method, url}
+ */
+export function trackResponse(res, {method, url}) {
+    if (res && !responseRequests.has(res)) {
+        const redactedUrl = new URL(url);
+        redactedUrl.username = '';
+        redactedUrl.password = '';
+
+        responseRequests.set(res, {method, url: redactedUrl.toString()});
+    }
+}
+
+/**
+ * Creates an error of the class matching response status code
+ *
+ * @param {String} code
+ * @param {String} message
+ * @param {*} body parsed response body
+ * @param {Response} res
+ * @return {RequestError}
+ */
+export function createResponseError(code, message, body, res) {
+    const ErrorClass = STATUS_CLASSES[res.status] || (res.status >= 500 ? ServerError : RequestError);
+    return new ErrorClass(code, message, body, res);
+}
+
+/**
+ * Creates an error of the same class and response with another code and message,
+ * e.g. when missing document means missing user. Original error is kept as `cause`
+ *
+ * @param {RequestError} err
+ * @param {String} code
+ * @param {String} message
+ * @return {RequestError}
+ */
+export function createDerivedError(err, code, message) {
+    const derived = new err.constructor(code, message, err.body);
+
+    return Object.assign(derived, {
+        status: err.status,
+        method: err.method,
+        url: err.url,
+        cause: err
+    });
+}
+
+/**
+ * Creates an error for the status code which the method doesn't expect.
+ * Its code depends on the status: EFORBIDDEN, ETOOLARGE, ESERVERERROR, etc
+ *
+ * @param {String} action what the method was doing, e.g. "fetching document"
+ * @param {*} body parsed response body
+ * @param {Response} res
+ * @return {RequestError}
+ */
+export function createUnexpectedStatusError(action, body, res) {
+    const code = STATUS_CODES[res.status] || (res.status >= 500 ? 'ESERVERERROR' : 'EUNKNOWN');
+    const reason = (body && typeof body === 'object' && (body.reason || body.error)) || null;
+    const message = `Unexpected status code while ${action}: ${res.status}${reason ? ` (${reason})` : ''}`;
+
+    return createResponseError(code, message, body, res);
+}
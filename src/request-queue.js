@@ -0,0 +1,108 @@
+'use strict';
+import {createAbortError} from './helpers.js';
+
+const QUEUE_ABORT_MESSAGE = 'The request was aborted while waiting in the queue.';
+
+/**
+ * Limits the number of concurrent requests. Requests above the limit wait in FIFO order
+ * and leave the queue as soon as their signal is aborted (timeout or caller)
+ */
+export default class RequestQueue {
+    constructor(maxConcurrency = Infinity) {
+        this._maxConcurrency = maxConcurrency || Infinity;
+        this._active = 0;
+        this._waiting = [];
+
+        this._queuedTotal = 0;
+        this._maxPending = 0;
+        this._waitTimeTotalMs = 0;
+        this._maxWaitTimeMs = 0;
+    }
+
+    /**
+     * Waits for a free slot. Returns a promise which is
+     * - resolved when the request can be sent, `release()` should be called after it's finished
+     * - rejected with AbortError if the signal is aborted before that
+     *
+     * @param {AbortSignal} [signal]
+     * @return {Promise}
+     */
+    acquire(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError(QUEUE_ABORT_MESSAGE));
+        }
+
+        if (this._active < this._maxConcurrency) {
+            this._active += 1;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                queuedAt: Date.now(),
+                resolve: () => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+
+                    this._trackWaitTime(entry.queuedAt);
+                    resolve();
+                }
+            };
+
+            const onAbort = () => {
+                this._waiting.splice(this._waiting.indexOf(entry), 1);
+                this._trackWaitTime(entry.queuedAt);
+                reject(createAbortError(QUEUE_ABORT_MESSAGE));
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            this._waiting.push(entry);
+            this._queuedTotal += 1;
+            this._maxPending = Math.max(this._maxPending, this._waiting.length);
+        });
+    }
+
+    /**
+     * Frees the slot of the finished request and passes it to the next queued one
+     */
+    release() {
+        const next = this._waiting.shift();
+
+        if (next) {
+            next.resolve();
+        } else {
+            this._active -= 1;
+        }
+    }
+
+    /**
+     * Get queue metrics
+     *
+     * @return {Object} {maxConcurrency, active, pending, queuedTotal, maxPending, waitTimeTotal, maxWaitTime}
+     */
+    stats() {
+        return {
+            maxConcurrency: this._maxConcurrency,
+            active: this._active,
+            pending: this._waiting.length,
+            queuedTotal: this._queuedTotal,
+            maxPending: this._maxPending,
+            waitTimeTotal: this._waitTimeTotalMs,
+            maxWaitTime: this._maxWaitTimeMs
+        };
+    }
+
+    /**
+     * @param {Number} queuedAt
+     */
+    _trackWaitTime(queuedAt) {
+        const waitTime = Date.now() - queuedAt;
+
+        this._waitTimeTotalMs += waitTime;
+        this._maxWaitTimeMs = Math.max(this._maxWaitTimeMs, waitTime);
+    }
+}
@@ -0,0 +1,103 @@
+'use strict';
+
+// requests with these methods can be safely sent again
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS', 'COPY'];
+
+// errors which node-fetch rejects with if the request didn't reach CouchDB or timed out
+const NETWORK_ERRORS = ['FetchError', 'AbortError'];
+
+export default class RetryPolicy {
+    constructor(opts = {}) {
+        const policyOpts = Object.assign({
+            maxAttempts: 3,
+            minDelay: 100,
+            maxDelay: 10000,
+            factor: 2,
+            jitter: 0.5,
+            statusCodes: [429, 500, 502, 503, 504],
+            retryNonIdempotent: false,
+            onRetry: null
+        }, opts);
+
+        this._maxAttempts = policyOpts.maxAttempts;
+        this._minDelayMs = policyOpts.minDelay;
+        this._maxDelayMs = policyOpts.maxDelay;
+        this._factor = policyOpts.factor;
+        this._jitter = policyOpts.jitter;
+        this._statusCodes = policyOpts.statusCodes;
+        this._retryNonIdempotent = policyOpts.retryNonIdempotent;
+        this._onRetry = policyOpts.onRetry;
+    }
+
+    /**
+     * Checks if the failed attempt should be retried
+     *
+     * @param {Number} attempt number of the failed attempt starting from 1
+     * @param {String} method request method
+     * @param {Error|Null} err network error
+     * @param {Response|Null} res response
+     * @return {Boolean}
+     */
+    shouldRetry(attempt, method, err, res) {
+        if (attempt >= this._maxAttempts) {
+            return false;
+        }
+
+        if (!this._retryNonIdempotent && !IDEMPOTENT_METHODS.includes(method)) {
+            return false;
+        }
+
+        if (err) {
+            return NETWORK_ERRORS.includes(err.name);
+        }
+
+        return this._statusCodes.includes(res.status);
+    }
+
+    /**
+     * Gets delay before the next attempt: exponential backoff with jitter
+     * unless CouchDB (or proxy in front of it) has sent Retry-After header.
+     * Retry-After delay is limited with `maxDelay` too
+     *
+     * @param {Number} attempt number of the failed attempt starting from 1
+     * @param {Response|Null} res response
+     * @return {Number}
+     */
+    getDelay(attempt, res) {
+        const retryAfter = res ? parseRetryAfter(res.headers.get('retry-after')) : null;
+        if (retryAfter !== null) {
+            return Math.min(this._maxDelayMs, retryAfter);
+        }
+
+        const delay = Math.min(this._maxDelayMs, this._minDelayMs * Math.pow(this._factor, attempt - 1));
+        return Math.round(delay * (1 - this._jitter * Math.random()));
+    }
+
+    /**
+     * Invokes `onRetry` hook
+     *
+     * @param {Object} info {attempt, delay, method, url, error, status}
+     */
+    notify(info) {
+        if (typeof this._onRetry === 'function') {
+            this._onRetry(info);
+        }
+    }
+}
+
+/**
+ * @param {String|Null} header either delay in seconds or HTTP date
+ * @return {Number|Null} delay in milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+
+    if (/^\d+$/.test(header.trim())) {
+        return Number(header) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
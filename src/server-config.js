@@ -0,0 +1,106 @@
+'use strict';
+import {createResponseError, createUnexpectedStatusError} from './request-error.js';
+
+/**
+ * Configuration API of the node: /_node/{node}/_config. Requires admin privileges
+ */
+export default class ServerConfig {
+    constructor(couch, node = '_local') {
+        this._couch = couch;
+        this._node = node;
+    }
+
+    /**
+     * Get configuration of another cluster node
+     *
+     * @param {String} node node name, e.g. "couchdb@127.0.0.1"
+     * @return {ServerConfig}
+     */
+    node(node) {
+        return new ServerConfig(this._couch, node);
+    }
+
+    /**
+     * Fetch the whole configuration, the section or a single value. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error
+     *
+     * @param {String} [section] config section
+     * @param {String} [key] config key
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    get(section, key, requestOpts = {}) {
+        return this._fetch(section, key, {}, requestOpts);
+    }
+
+    /**
+     * Set config value. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is the old value
+     * - rejected with `request` original error
+     *
+     * @param {String} section config section
+     * @param {String} key config key
+     * @param {*} value new value, config values are always strings
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    set(section, key, value, requestOpts = {}) {
+        return this._fetch(section, key, {
+            method: 'PUT',
+            body: JSON.stringify(String(value))
+        }, requestOpts);
+    }
+
+    /**
+     * Delete config value. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is the old value
+     * - rejected with `request` original error
+     *
+     * @param {String} section config section
+     * @param {String} key config key
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    delete(section, key, requestOpts = {}) {
+        return this._fetch(section, key, {
+            method: 'DELETE'
+        }, requestOpts);
+    }
+
+    /**
+     * @param {String} [section]
+     * @param {String} [key]
+     * @param {Object} [fetchOpts]
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    _fetch(section, key, fetchOpts = {}, requestOpts = {}) {
+        const path = [section, key]
+            .filter(part => part !== undefined)
+            .map(part => `/${encodeURIComponent(part)}`)
+            .join('');
+
+        const url = `${this._couch._baseUrl}/_node/${encodeURIComponent(this._node)}/_config${path}`;
+
+        return this._couch._fetchWrapped(url, fetchOpts, requestOpts).then(({res, body}) => {
+            if (res.status === 401 || res.status === 403) {
+                throw createResponseError('ENOTADMIN', 'Should be authorized as admin to manage configuration', body, res);
+            }
+
+            if (res.status === 404) {
+                throw createResponseError('ECONFIGMISSING', `Config section or key is not found: ${section || ''}/${key || ''}`, body, res);
+            }
+
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError('managing configuration', body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+}
@@ -0,0 +1,257 @@
+'use strict';
+import RequestError, {createDerivedError, createResponseError, createUnexpectedStatusError} from './request-error.js';
+
+// @see https://docs.couchdb.org/en/stable/intro/security.html#users-documents
+const USER_ID_PREFIX = 'org.couchdb.user:';
+
+/**
+ * @param {String} name user name
+ * @return {String}
+ */
+function toUserId(name) {
+    return `${USER_ID_PREFIX}${name}`;
+}
+
+/**
+ * Users API of the authentication database: user documents with "org.couchdb.user:" id prefix.
+ * Managing other users requires admin privileges
+ */
+export default class Users {
+    constructor(couch, dbName = '_users') {
+        this._couch = couch;
+        this._dbName = dbName;
+    }
+
+    /**
+     * Create a user. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EUSEREXISTS error if user already exists
+     *
+     * @param {String} name user name
+     * @param {String} password user password, CouchDB stores only its hash
+     * @param {Array} [roles] user roles
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    create(name, password, roles = [], requestOpts = {}) {
+        return this._put({
+            _id: toUserId(name),
+            name,
+            password,
+            roles,
+            type: 'user'
+        }, requestOpts);
+    }
+
+    /**
+     * Get a user document. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EUSERMISSING error if user doesn't exist
+     *
+     * @param {String} name user name
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    get(name, requestOpts = {}) {
+        return this._fetch(name, {}, requestOpts).then(({res, body}) => {
+            if (res.status !== 200 && res.status !== 304) {
+                throw createUnexpectedStatusError(`fetching user ${name}`, body, res);
+            }
+
+            return {
+                data: body,
+                headers: res.headers,
+                status: res.status
+            };
+        });
+    }
+
+    /**
+     * Change password of the user. Returns a promise which is
+     * - resolved with {data, headers, status, attempts} object
+     * - rejected with `request` original error or with EUSERMISSING error if user doesn't exist
+     *
+     * @param {String} name user name
+     * @param {String} password new password
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    changePassword(name, password, requestOpts = {}) {
+        return this._modify(name, doc => Object.assign(doc, {password}), requestOpts);
+    }
+
+    /**
+     * Replace roles of the user. Returns a promise which is
+     * - resolved with {data, headers, status, attempts} object
+     * - rejected with `request` original error or with EUSERMISSING error if user doesn't exist
+     *
+     * @param {String} name user name
+     * @param {Array} roles user roles
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    setRoles(name, roles, requestOpts = {}) {
+        return this._modify(name, doc => Object.assign(doc, {roles}), requestOpts);
+    }
+
+    /**
+     * Delete the user. Returns a promise which is
+     * - resolved with {data, headers, status} object
+     * - rejected with `request` original error or with EUSERMISSING error if user doesn't exist
+     *
+     * @param {String} name user name
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    async delete(name, requestOpts = {}) {
+        const {data: user} = await this.get(name, Object.assign({}, requestOpts, {cache: 'bypass'}));
+        const {res, body} = await this._fetch(name, {method: 'DELETE'}, requestOpts, user._rev);
+
+        if (res.status !== 200 && res.status !== 202) {
+            throw createUnexpectedStatusError(`deleting user ${name}`, body, res);
+        }
+
+        await this._couch._invalidateCache([this._getUrl(name)]);
+
+        return {
+            data: body,
+            headers: res.headers,
+            status: res.status
+        };
+    }
+
+    /**
+     * List user documents. Returns a promise which is
+     * - resolved with {data, headers, status} object, where data is an array of user documents
+     * - rejected with `request` original error
+     *
+     * @param {Object} [query] _all_docs query options: limit, skip
+     * @param {Object} [requestOpts] {signal, timeout, headers, cache}
+     * @return {Promise}
+     */
+    list(query = {}, requestOpts = {}) {
+        const usersQuery = Object.assign({
+            startkey: USER_ID_PREFIX,
+            endkey: `${USER_ID_PREFIX}\ufff0`
+        }, query, {include_docs: true});
+
+        return this._couch.use(this._dbName).allDocs(usersQuery, requestOpts).then(({data, headers, status}) => {
+            return {
+                data: data.rows.map(row => row.doc),
+                headers,
+                status
+            };
+        });
+    }
+
+    /**
+     * Change the latest revision of the user document with Database.modify() which retries on conflicts.
+     * Errors of missing and rejected documents are reported the same way other user operations do
+     *
+     * @param {String} name user name
+     * @param {Function} mutator
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    async _modify(name, mutator, requestOpts = {}) {
+        if (!name) {
+            throw new RequestError('EBADREQUEST', 'User name is required');
+        }
+
+        try {
+            return await this._couch.use(this._dbName).modify(toUserId(name), mutator, {}, requestOpts);
+        } catch (err) {
+            if (err.code === 'EDOCMISSING') {
+                throw createDerivedError(err, 'EUSERMISSING', `User not found: ${name}`);
+            }
+
+            if (err.code === 'EFORBIDDEN') {
+                throw createDerivedError(err, 'EFORBIDDEN', `User document ${name} is rejected: ${err.reason}`);
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Put the user document, documents without revision are created
+     *
+     * @param {Object} doc
+     * @param {Object} [requestOpts]
+     * @return {Promise}
+     */
+    async _put(doc, requestOpts = {}) {
+        const {res, body} = await this._fetch(doc.name, {
+            method: 'PUT',
+            body: JSON.stringify(doc)
+        }, requestOpts);
+
+        if (res.status === 409) {
+            throw doc._rev
+                ? createResponseError('EDOCCONFLICT', `User document update conflict: ${doc.name}`, body, res)
+                : createResponseError('EUSEREXISTS', `User already exists: ${doc.name}`, body, res);
+        }
+
+        if (res.status !== 201 && res.status !== 202) {
+            throw createUnexpectedStatusError(`saving user ${doc.name}`, body, res);
+        }
+
+        await this._couch._invalidateCache([this._getUrl(doc.name)]);
+
+        return {
+            data: body,
+            headers: res.headers,
+            status: res.status
+        };
+    }
+
+    /**
+     * Sends request of the user document and checks statuses which all operations share.
+     * Validation function of the users database rejects invalid documents with 403 status code
+     *
+     * @param {String} name user name
+     * @param {Object} [fetchOpts]
+     * @param {Object} [requestOpts]
+     * @param {String} [rev] document revision
+     * @return {Promise}
+     */
+    async _fetch(name, fetchOpts = {}, requestOpts = {}, rev) {
+        if (!name) {
+            throw new RequestError('EBADREQUEST', 'User name is required');
+        }
+
+        const url = new URL(this._getUrl(name));
+        if (rev) {
+            url.searchParams.set('rev', rev);
+        }
+
+        const {res, body} = await this._couch._fetchWrapped(url, fetchOpts, requestOpts);
+        const reason = body && body.reason;
+
+        if (res.status === 400) {
+            throw createResponseError('EBADREQUEST', `Invalid user document ${name}: ${reason}`, body, res);
+        }
+
+        if (res.status === 401) {
+            throw createResponseError('EUNAUTHORIZED', 'Should be authorized to manage users', body, res);
+        }
+
+        if (res.status === 403) {
+            throw createResponseError('EFORBIDDEN', `User document ${name} is rejected: ${reason}`, body, res);
+        }
+
+        if (res.status === 404) {
+            throw createResponseError('EUSERMISSING', `User not found: ${name}`, body, res);
+        }
+
+        return {res, body};
+    }
+
+    /**
+     * @param {String} name user name
+     * @return {String}
+     */
+    _getUrl(name) {
+        return `${this._couch._baseUrl}/${encodeURIComponent(this._dbName)}/${encodeURIComponent(toUserId(name))}`;
+    }
+}